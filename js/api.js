@@ -7,21 +7,73 @@ const APIManager = (function() {
     let ssc = null;
     let selectedHiveNode = null;
     let selectedEngineNode = null;
+    let autoTimer = null;
+
+    const AUTO_RACE_TIMEOUT = 3000;               // Per-node probe limit for the startup race
+    const AUTO_RECHECK_INTERVAL = 5 * 60 * 1000;  // Background re-evaluation in auto mode
+    const AUTO_SWITCH_MARGIN = 15;                // Score gain needed to leave a healthy node
+
+    // Dispatched on document with detail { type, url, previous, reason } when a node is switched
+    const NODE_CHANGE_EVENT = 'apinodechange';
+
+    // ==================== NODE MODE ====================
+
+    /**
+     * Get node mode for a type: "auto" picks the best node, "pinned" keeps the user's choice
+     */
+    function getNodeMode(type) {
+        return localStorage.getItem(`${type}NodeMode`) === 'pinned' ? 'pinned' : 'auto';
+    }
+
+    /**
+     * Set node mode for a type
+     */
+    function setNodeMode(type, mode) {
+        localStorage.setItem(`${type}NodeMode`, mode === 'pinned' ? 'pinned' : 'auto');
+        updateNodeButton(type);
+    }
+
+    /**
+     * Get node currently in use for a type
+     */
+    function getCurrentNode(type) {
+        return type === 'hive' ? selectedHiveNode : selectedEngineNode;
+    }
+
+    /**
+     * Get enabled nodes of a type in priority order (defaults plus custom nodes)
+     */
+    function getNodeList(type) {
+        return NodeManager.getNodes(type);
+    }
+
+    /**
+     * Show the node in use on the footer button
+     */
+    function updateNodeButton(type) {
+        const url = getCurrentNode(type);
+        const button = document.getElementById(`popup-button-${type}`);
+        if (button && url) {
+            button.value = url;
+            button.innerHTML = getNodeMode(type) === 'auto' ? `Auto: ${url}` : url;
+        }
+    }
 
     /**
-     * Get selected Hive endpoint from localStorage or default
+     * Get selected Hive endpoint from localStorage or the preferred node
+     * A saved node that was disabled or removed is not used
      */
     async function getSelectedEndpoint() {
         const saved = localStorage.getItem("selectedEndpoint");
-        return saved || CONFIG.DEFAULT_HIVE_ENDPOINT;
+        return getNodeList('hive').includes(saved) ? saved : NodeManager.getPreferredNode('hive');
     }
 
     /**
-     * Get selected Engine endpoint from localStorage or default
+     * Get selected Engine endpoint from localStorage or the preferred node
      */
     async function getSelectedEngEndpoint() {
         const saved = localStorage.getItem("selectedEngEndpoint");
-        return saved || CONFIG.DEFAULT_ENGINE_ENDPOINT;
+        return getNodeList('engine').includes(saved) ? saved : NodeManager.getPreferredNode('engine');
     }
 
     /**
@@ -39,11 +91,7 @@ const APIManager = (function() {
             rebroadcast_threshold: 3
         });
         
-        const button = document.getElementById("popup-button-hive");
-        if (button) {
-            button.value = selectedHiveNode;
-            button.innerHTML = selectedHiveNode;
-        }
+        updateNodeButton('hive');
         
         return selectedHiveNode;
     }
@@ -63,270 +111,28 @@ const APIManager = (function() {
         
         ssc = new SSC(selectedEngineNode);
         
-        const button = document.getElementById("popup-button-engine");
-        if (button) {
-            button.value = selectedEngineNode;
-            button.innerHTML = selectedEngineNode;
-        }
+        updateNodeButton('engine');
         
         return selectedEngineNode;
     }
 
-    /**
-     * Check if a Hive node is working
-     */
-    async function checkHiveNodeStatus(nodeUrl, statusElement) {
-        try {
-            const response = await axios.get(nodeUrl, { timeout: 5000 });
-            if (response.status === 200) {
-                statusElement.textContent = "Working";
-                statusElement.classList.remove("fail");
-                statusElement.classList.add("working");
-                return true;
-            }
-        } catch (error) {
-            statusElement.textContent = "Fail";
-            statusElement.classList.remove("working");
-            statusElement.classList.add("fail");
-            return false;
-        }
-    }
-
-    /**
-     * Check if an Engine node is working
-     */
-    async function checkEngineNodeStatus(nodeUrl, statusElement) {
-        try {
-            const response = await axios.get(nodeUrl, { timeout: 5000 });
-            if (response.status === 200) {
-                statusElement.textContent = "Working";
-                statusElement.classList.remove("fail");
-                statusElement.classList.add("working");
-                return true;
-            }
-        } catch (error) {
-            statusElement.textContent = "Fail";
-            statusElement.classList.remove("working");
-            statusElement.classList.add("fail");
-            return false;
-        }
-    }
-
-    /**
-     * Populate Hive nodes table
-     */
-    async function addHiveNodes() {
-        const tableBody = document.querySelector("#api-list-hive tbody");
-        if (!tableBody) return;
-
-        const workingNodes = [];
-        const failedNodes = [];
-
-        // Clear existing content
-        tableBody.innerHTML = "";
-
-        // Add all nodes to table
-        for (const nodeUrl of CONFIG.HIVE_RPC_NODES) {
-            const row = document.createElement("tr");
-            const urlCell = document.createElement("td");
-            const statusCell = document.createElement("td");
-
-            urlCell.textContent = nodeUrl;
-            urlCell.classList.add("node-url");
-            statusCell.textContent = "Checking...";
-
-            row.appendChild(urlCell);
-            row.appendChild(statusCell);
-            tableBody.appendChild(row);
-
-            // Check node status
-            checkHiveNodeStatus(nodeUrl, statusCell);
-        }
-
-        // Reorder nodes after checking (working first)
-        setTimeout(() => {
-            const rows = Array.from(tableBody.getElementsByTagName("tr"));
-            
-            rows.forEach((row) => {
-                if (row.lastChild.textContent === "Working") {
-                    workingNodes.push(row);
-                } else {
-                    failedNodes.push(row);
-                }
-            });
-
-            tableBody.innerHTML = "";
-            workingNodes.forEach((row) => tableBody.appendChild(row));
-            failedNodes.forEach((row) => tableBody.appendChild(row));
-        }, 5000);
-    }
-
-    /**
-     * Populate Engine nodes table
-     */
-    async function addEngineNodes() {
-        const tableBody = document.querySelector("#api-list-engine tbody");
-        if (!tableBody) return;
-
-        const workingNodes = [];
-        const failedNodes = [];
-
-        // Clear existing content
-        tableBody.innerHTML = "";
-
-        // Add all nodes to table
-        for (const nodeUrl of CONFIG.ENGINE_RPC_NODES) {
-            const row = document.createElement("tr");
-            const urlCell = document.createElement("td");
-            const statusCell = document.createElement("td");
-
-            urlCell.textContent = nodeUrl;
-            urlCell.classList.add("node-url");
-            statusCell.textContent = "Checking...";
-
-            row.appendChild(urlCell);
-            row.appendChild(statusCell);
-            tableBody.appendChild(row);
-
-            // Check node status
-            checkEngineNodeStatus(nodeUrl, statusCell);
-        }
-
-        // Reorder nodes after checking (working first)
-        setTimeout(() => {
-            const rows = Array.from(tableBody.getElementsByTagName("tr"));
-            
-            rows.forEach((row) => {
-                if (row.lastChild.textContent === "Working") {
-                    workingNodes.push(row);
-                } else {
-                    failedNodes.push(row);
-                }
-            });
-
-            tableBody.innerHTML = "";
-            workingNodes.forEach((row) => tableBody.appendChild(row));
-            failedNodes.forEach((row) => tableBody.appendChild(row));
-        }, 5000);
-    }
-
-    /**
-     * Setup Hive node selector popup
-     */
-    function setupHiveNodeSelector() {
-        const button = document.getElementById("popup-button-hive");
-        const popup = document.getElementById("popup-container-hive");
-        const closeButton = document.getElementById("close-button-hive");
-        const tableBody = document.querySelector("#api-list-hive tbody");
-
-        if (!button || !popup || !closeButton || !tableBody) return;
-
-        let interval;
-
-        // Open popup
-        button.addEventListener("click", () => {
-            popup.style.display = "flex";
-            button.disabled = true;
-            addHiveNodes();
-            interval = setInterval(addHiveNodes, 60000);
-        });
-
-        // Close popup
-        closeButton.addEventListener("click", () => {
-            popup.style.display = "none";
-            button.disabled = false;
-            if (interval) clearInterval(interval);
-            tableBody.innerHTML = "";
-        });
-
-        // Select node on row click
-        tableBody.addEventListener("click", (event) => {
-            const target = event.target;
-            if (target && target.nodeName === "TD") {
-                const nodeUrl = target.parentNode.cells[0].textContent;
-                
-                hive.api.setOptions({ url: nodeUrl });
-                button.value = nodeUrl;
-                button.innerHTML = nodeUrl;
-                localStorage.setItem("selectedEndpoint", nodeUrl);
-                
-                popup.style.display = "none";
-                button.disabled = false;
-                tableBody.innerHTML = "";
-                
-                if (interval) clearInterval(interval);
-                
-                setTimeout(() => location.reload(), 1000);
-            }
-        });
-    }
-
-    /**
-     * Setup Engine node selector popup
-     */
-    function setupEngineNodeSelector() {
-        const button = document.getElementById("popup-button-engine");
-        const popup = document.getElementById("popup-container-engine");
-        const closeButton = document.getElementById("close-button-engine");
-        const tableBody = document.querySelector("#api-list-engine tbody");
-
-        if (!button || !popup || !closeButton || !tableBody) return;
-
-        let interval;
-
-        // Open popup
-        button.addEventListener("click", () => {
-            popup.style.display = "flex";
-            button.disabled = true;
-            addEngineNodes();
-            interval = setInterval(addEngineNodes, 60000);
-        });
-
-        // Close popup
-        closeButton.addEventListener("click", () => {
-            popup.style.display = "none";
-            button.disabled = false;
-            if (interval) clearInterval(interval);
-            tableBody.innerHTML = "";
-        });
-
-        // Select node on row click
-        tableBody.addEventListener("click", (event) => {
-            const target = event.target;
-            if (target && target.nodeName === "TD") {
-                const nodeUrl = target.parentNode.cells[0].textContent;
-                
-                ssc = new SSC(nodeUrl);
-                button.value = nodeUrl;
-                button.innerHTML = nodeUrl;
-                localStorage.setItem("selectedEngEndpoint", nodeUrl);
-                
-                popup.style.display = "none";
-                button.disabled = false;
-                tableBody.innerHTML = "";
-                
-                if (interval) clearInterval(interval);
-                
-                setTimeout(() => location.reload(), 1000);
-            }
-        });
-    }
-
     /**
      * Initialize all API configurations
      */
     async function initialize() {
         try {
             // Set alternative API endpoints for Hive
-            hive.config.set('alternative_api_endpoints', CONFIG.HIVE_RPC_NODES);
+            hive.config.set('alternative_api_endpoints', getNodeList('hive'));
             
             // Initialize both APIs
             await initializeHiveAPI();
             await initializeEngineAPI();
-            
-            // Setup node selectors
-            setupHiveNodeSelector();
-            setupEngineNodeSelector();
+
+            // Auto mode: race the node lists and switch to the fastest in-sync node
+            await Promise.all(['hive', 'engine']
+                .filter(type => getNodeMode(type) === 'auto')
+                .map(type => autoSelect(type, { force: true, timeout: AUTO_RACE_TIMEOUT })));
+            startAutoReevaluation();
             
             console.log("✅ API Manager initialized successfully");
             console.log("📡 Hive Node:", selectedHiveNode);
@@ -341,7 +147,7 @@ const APIManager = (function() {
      * Try API call with automatic node failover
      */
     async function tryWithFailover(apiFn, maxAttempts = 3) {
-        const availableNodes = CONFIG.HIVE_RPC_NODES.filter(node => node !== selectedHiveNode);
+        const availableNodes = getNodeList('hive').filter(node => node !== selectedHiveNode);
         let currentNode = selectedHiveNode;
         let lastError;
         
@@ -356,11 +162,14 @@ const APIManager = (function() {
                 // Try the API call with timeout
                 const result = await Utils.withTimeout(apiFn(), 10000);
                 
-                // If successful and we switched nodes, save the new node
+                // If successful and we switched nodes, use the new node (a pinned node stays saved)
                 if (currentNode !== selectedHiveNode) {
                     console.log(`✅ Switched to working node: ${currentNode}`);
                     selectedHiveNode = currentNode;
-                    localStorage.setItem('selectedEndpoint', currentNode);
+                    if (getNodeMode('hive') === 'auto') {
+                        localStorage.setItem('selectedEndpoint', currentNode);
+                    }
+                    updateNodeButton('hive');
                 }
                 
                 return result;
@@ -380,6 +189,140 @@ const APIManager = (function() {
         throw lastError;
     }
 
+    /**
+     * Try Hive Engine call with automatic node failover
+     * apiFn receives the SSC client of the node being tried
+     */
+    async function tryEngineWithFailover(apiFn, maxAttempts = 3) {
+        const availableNodes = getNodeList('engine').filter(node => node !== selectedEngineNode);
+        let currentNode = selectedEngineNode;
+        let client = ssc;
+        let lastError;
+        
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            try {
+                if (!client) {
+                    throw new Utils.APIError('Hive Engine API not initialized', currentNode);
+                }
+
+                // Try the API call with timeout
+                const result = await Utils.withTimeout(apiFn(client), 10000);
+                
+                // If successful and we switched nodes, keep the new client (a pinned node stays saved)
+                if (currentNode !== selectedEngineNode) {
+                    console.log(`✅ Switched to working engine node: ${currentNode}`);
+                    selectedEngineNode = currentNode;
+                    ssc = client;
+                    if (getNodeMode('engine') === 'auto') {
+                        localStorage.setItem('selectedEngEndpoint', currentNode);
+                    }
+                    updateNodeButton('engine');
+                }
+                
+                return result;
+            } catch (error) {
+                lastError = error;
+                console.warn(`⚠️ Engine node ${currentNode} failed (attempt ${attempt + 1}/${maxAttempts}):`, error.message);
+                
+                // Try next node if available
+                if (attempt < maxAttempts - 1 && availableNodes.length > 0) {
+                    currentNode = availableNodes[attempt % availableNodes.length];
+                    client = new SSC(currentNode);
+                    console.log(`🔄 Switching to backup engine node: ${currentNode}`);
+                    await Utils.sleep(500); // Brief delay before retry
+                }
+            }
+        }
+        
+        throw lastError;
+    }
+
+    /**
+     * Query a Hive Engine contract table with node failover
+     */
+    function queryHiveEngine(contract, table, query, limit = 1000, offset = 0) {
+        return tryEngineWithFailover((client) => new Promise((resolve, reject) => {
+            client.find(contract, table, query, limit, offset, [], (err, result) => {
+                if (err) reject(new Utils.APIError(err.message || 'Query failed'));
+                else resolve(result || []);
+            });
+        }));
+    }
+
+    // ==================== AUTO SELECTION ====================
+
+    /**
+     * Switch the live API client of a type to a node, save it and announce the change
+     */
+    function applyNode(type, url, reason) {
+        const previous = getCurrentNode(type);
+        if (type === 'hive') {
+            selectedHiveNode = url;
+            hive.api.setOptions({ url: url, timeout: 8000 });
+            localStorage.setItem('selectedEndpoint', url);
+        } else {
+            selectedEngineNode = url;
+            ssc = new SSC(url);
+            localStorage.setItem('selectedEngEndpoint', url);
+        }
+        updateNodeButton(type);
+
+        if (url !== previous) {
+            document.dispatchEvent(new CustomEvent(NODE_CHANGE_EVENT, {
+                detail: { type, url, previous, reason }
+            }));
+        }
+    }
+
+    /**
+     * Switch to a node chosen by the user, pinning it (no page reload)
+     */
+    function switchNode(type, url) {
+        setNodeMode(type, 'pinned');
+        applyNode(type, url, 'manual');
+        return url;
+    }
+
+    /**
+     * Probe all nodes of a type and switch to the fastest in-sync one
+     * Without options.force a healthy current node is only left for a clearly better one
+     * Resolves with the node in use afterwards
+     */
+    async function autoSelect(type, options = {}) {
+        const current = getCurrentNode(type);
+        const results = await NodeHealth.checkAll(type, getNodeList(type), { timeout: options.timeout });
+        const best = results.find(r => r.ok && !NodeHealth.isLagging(r)) || results.find(r => r.ok);
+
+        if (!best || best.url === current) {
+            return current;
+        }
+
+        const currentResult = results.find(r => r.url === current);
+        const currentHealthy = currentResult && currentResult.ok && !NodeHealth.isLagging(currentResult);
+        if (options.force || !currentHealthy || best.score - currentResult.score >= AUTO_SWITCH_MARGIN) {
+            console.log(`⚡ Auto-selected ${type} node: ${best.url} (${best.latency} ms, lag ${best.lag})`);
+            applyNode(type, best.url, 'auto');
+        }
+
+        return getCurrentNode(type);
+    }
+
+    /**
+     * Re-evaluate nodes in the background for types in auto mode
+     */
+    function startAutoReevaluation() {
+        if (autoTimer) clearInterval(autoTimer);
+        autoTimer = setInterval(() => {
+            ['hive', 'engine']
+                .filter(type => getNodeMode(type) === 'auto')
+                .forEach(type => {
+                    autoSelect(type).catch(error => {
+                        console.warn(`Auto node re-evaluation failed for ${type}:`, error.message);
+                    });
+                });
+        }, AUTO_RECHECK_INTERVAL);
+    }
+
     /**
      * Get SSC instance
      */
@@ -395,6 +338,14 @@ const APIManager = (function() {
         initializeEngineAPI,
         getSelectedEndpoint,
         getSelectedEngEndpoint,
-        tryWithFailover
+        tryWithFailover,
+        tryEngineWithFailover,
+        getNodeMode,
+        setNodeMode,
+        getCurrentNode,
+        autoSelect,
+        switchNode,
+        NODE_CHANGE_EVENT,
+        queryHiveEngine
     };
 })();
@@ -0,0 +1,128 @@
+/**
+ * Bridge Memo Module
+ * Builds and parses the memos exchanged with the bridge account:
+ * the minimum receive memo sent with a swap, and the "Swapped Qty" /
+ * "Swapped Price" reply and refund memos sent back
+ *
+ * Memo formats are keyed by protocol version so a future bridge format can be
+ * added next to the current one without touching the callers
+ */
+
+const BridgeMemo = (function() {
+    const VERSION = 1;
+
+    const FORMATS = {
+        1: {
+            decimals: 3,
+            minReceive: /^\d+\.\d{3}$/,
+            swappedQty: /Swapped Qty\s*:\s*(\d+(?:\.\d+)?)/,
+            swappedPrice: /Swapped Price\s*:\s*(\d+(?:\.\d+)?)/
+        }
+    };
+
+    /**
+     * Memo format for a protocol version
+     */
+    function getFormat(version) {
+        const format = FORMATS[version];
+        if (!format) {
+            throw new Utils.ValidationError(`Unsupported bridge memo version ${version}`);
+        }
+        return format;
+    }
+
+    // ==================== OUTGOING ====================
+
+    /**
+     * Round a minimum receive down to the memo precision
+     * Rounding down keeps the memo from ending up above the value it was built from
+     */
+    function roundMinReceive(minReceive, version = VERSION) {
+        const factor = Math.pow(10, getFormat(version).decimals);
+        return Math.floor(Utils.roundTo(minReceive * factor, 6)) / factor;
+    }
+
+    /**
+     * Build the minimum receive memo sent with a swap
+     * Callers pass the unrounded value, rounding is done here only
+     * The bridge refunds when it cannot pay at least this amount, so the memo
+     * must be positive and never above the expected output
+     */
+    function buildMinReceive(minReceive, expected, version = VERSION) {
+        const format = getFormat(version);
+
+        if (!Number.isFinite(minReceive) || !Number.isFinite(expected)) {
+            throw new Utils.ValidationError("Minimum receive could not be calculated");
+        }
+
+        const value = roundMinReceive(minReceive, version);
+
+        if (value <= 0) {
+            throw new Utils.ValidationError("Minimum receive must be above zero, increase the amount or lower the slippage");
+        }
+        if (value > expected) {
+            throw new Utils.ValidationError(
+                `Minimum receive ${value.toFixed(format.decimals)} is above the expected output ${expected.toFixed(format.decimals)}`
+            );
+        }
+
+        return value.toFixed(format.decimals);
+    }
+
+    /**
+     * Read the minimum receive from a memo sent to the bridge
+     * Returns null when the memo is not a minimum receive memo
+     */
+    function parseMinReceive(memo, version = VERSION) {
+        const format = getFormat(version);
+        if (typeof memo !== 'string' || !format.minReceive.test(memo.trim())) {
+            return null;
+        }
+        return parseFloat(memo);
+    }
+
+    // ==================== REPLIES ====================
+
+    /**
+     * Extract swapped quantity and price from a bridge reply memo
+     * Values are kept as the strings the bridge sent, null when missing
+     */
+    function parseReply(memo, version = VERSION) {
+        const format = getFormat(version);
+        const qtyMatch = (memo || '').match(format.swappedQty);
+        const priceMatch = (memo || '').match(format.swappedPrice);
+        return {
+            swappedQty: qtyMatch ? qtyMatch[1] : null,
+            swappedPrice: priceMatch ? priceMatch[1] : null
+        };
+    }
+
+    /**
+     * Extract the refund reason from a bridge refund memo
+     * e.g. "Refund : Insufficient liquidity | <txid>" -> "Insufficient liquidity"
+     */
+    function parseRefundReason(memo, originalTxId) {
+        if (!memo) return 'Refunded by bridge';
+
+        const reasonMatch = memo.match(/Reason\s*:\s*([^|]+)/i);
+        if (reasonMatch) return reasonMatch[1].trim();
+
+        const parts = memo
+            .split(originalTxId).join('')
+            .split('|')
+            .map(part => part.replace(/^\s*refund(ed)?\b\s*(for|of)?\s*[:\-]?\s*/i, '').trim())
+            .filter(part => part.length > 0 && !/^(tx(id)?|trx(_id)?)\s*[:\-]?$/i.test(part));
+
+        return parts.length > 0 ? parts.join('; ') : 'Refunded by bridge';
+    }
+
+    // Public API
+    return {
+        VERSION,
+        roundMinReceive,
+        buildMinReceive,
+        parseMinReceive,
+        parseReply,
+        parseRefundReason
+    };
+})();
@@ -16,9 +16,15 @@ const CONFIG = {
     SHIVEPOOL: 24900,
     BRIDGE_USER: "uswap",
     
+    // Liquidity Quorum (optional, pools read from several nodes must agree)
+    LIQUIDITY_QUORUM_NODES: 3,
+    LIQUIDITY_QUORUM_TOLERANCE: 0.005, // Max spread between node readings, relative (0.5%)
+    LIQUIDITY_QUORUM_MIN_NODES: 2,     // Fewer distinct nodes than this cannot form a quorum
+    
     // API URLs
     COINGECKO_HIVE_URL: "https://api.coingecko.com/api/v3/simple/price?ids=hive&vs_currencies=usd",
     COINGECKO_HBD_URL: "https://api.coingecko.com/api/v3/simple/price?ids=hive_dollar&vs_currencies=usd",
+    COINGECKO_HIVE_HISTORY_URL: "https://api.coingecko.com/api/v3/coins/hive/history",
     USWAP_FEE_JSON: "https://fee.uswap.app/fee.json",
     
     // Hive RPC Nodes
@@ -48,12 +54,42 @@ const CONFIG = {
         "https://herpc.dtools.dev"
     ],
     
+    // HiveAuth (HAS) Configuration
+    HAS_SERVER: "wss://hive-auth.arcange.eu",
+    HAS_APP: {
+        name: "uswap.app",
+        description: "HIVE and SWAP.HIVE Liquidity Bridge",
+        icon: "https://ui.uswap.app/assets/icons/icon-192x192.png"
+    },
+    
+    // HiveSigner Configuration
+    HIVESIGNER_URL: "https://hivesigner.com",
+    
     // Default Endpoints
     DEFAULT_HIVE_ENDPOINT: "https://anyx.io",
     DEFAULT_ENGINE_ENDPOINT: "https://enginerpc.com",
     
     // Minimum Swap Amount
-    MINIMUM_SWAP: 1
+    MINIMUM_SWAP: 1,
+
+    // Slippage % used when no slippage option is selected
+    DEFAULT_SLIPPAGE: 0.01,
+    
+    // Hive Engine gateway fees, the alternative HIVE <-> SWAP.HIVE route
+    HE_GATEWAY_DEPOSIT_FEE: 0.0075,   // HIVE deposit (0.75%)
+    HE_GATEWAY_WITHDRAW_FEE: 0.0075,  // SWAP.HIVE withdrawal (0.75%)
+    
+    // Limit Orders (open orders are checked against fresh pools this often)
+    LIMIT_ORDER_POLL_INTERVAL: 60 * 1000,
+    
+    // Swap Schedules (how often due recurring swaps are looked for)
+    SCHEDULE_CHECK_INTERVAL: 60 * 1000,
+    
+    // Swap confirmation warns above this fee % unless the user sets another threshold
+    FEE_WARNING_PERCENT: 1,
+    
+    // Split Planner (largest number of tranches compared)
+    SPLIT_MAX_TRANCHES: 10
 };
 
 // Export for use in other modules
@@ -0,0 +1,256 @@
+/**
+ * Swap Confirmation Module
+ * Shows the exact operation a swap is about to broadcast with the quote, pools
+ * and fee config it was calculated from, and warns when the fee is above the
+ * user's threshold or the data behind the quote is stale
+ */
+
+const SwapConfirm = (function() {
+    const THRESHOLD_KEY = 'feeWarningPercent';
+
+    let current = null;  // Details of the swap being confirmed
+
+    // ==================== WARNINGS ====================
+
+    /**
+     * Fee % above which the dialog warns
+     */
+    function getFeeThreshold() {
+        const stored = parseFloat(localStorage.getItem(THRESHOLD_KEY));
+        return Number.isFinite(stored) && stored >= 0 ? stored : CONFIG.FEE_WARNING_PERCENT;
+    }
+
+    /**
+     * Save the fee warning threshold
+     */
+    function setFeeThreshold(percent) {
+        const value = Utils.parseNumber(percent, -1);
+        if (value < 0) {
+            localStorage.removeItem(THRESHOLD_KEY);
+        } else {
+            localStorage.setItem(THRESHOLD_KEY, String(value));
+        }
+    }
+
+    /**
+     * Human readable age of a timestamp
+     */
+    function formatAge(timestamp, now) {
+        const seconds = Math.max(Math.round((now - timestamp) / 1000), 0);
+        if (seconds < 120) return `${seconds} s ago`;
+        if (seconds < 7200) return `${Math.round(seconds / 60)} min ago`;
+        return `${Math.round(seconds / 3600)} h ago`;
+    }
+
+    /**
+     * Warnings for a swap about to be signed
+     */
+    function getWarnings(swap, now = Date.now()) {
+        const warnings = [];
+
+        const threshold = getFeeThreshold();
+        if (swap.feePercent > threshold) {
+            warnings.push(`The fee is ${swap.feePercent.toFixed(3)}%, above your ${threshold}% warning threshold.`);
+        }
+
+        const pools = MarketManager.getLiquidityAge();
+        if (!pools.lastFetch) {
+            warnings.push('Pool sizes were never loaded, the quote is not based on live data.');
+        } else if (now - pools.lastFetch > pools.cacheDuration) {
+            warnings.push(`Pool data is from ${formatAge(pools.lastFetch, now)}, older than its ${pools.cacheDuration / 1000} s refresh window. Refresh before signing for an accurate quote.`);
+        }
+
+        if (swap.slippageDefaulted) {
+            warnings.push(`No slippage option was selected, the minimum receive uses the ${swap.slippage}% default.`);
+        }
+
+        if (!SwapManager.getFeeConfigInfo().loadedAt) {
+            warnings.push('The fee config could not be loaded, the quote uses the built-in defaults.');
+        }
+
+        return warnings;
+    }
+
+    // ==================== DIALOG ====================
+
+    /**
+     * Summary rows for forwarding a swap output to its recipient
+     */
+    function getForwardSummary(details) {
+        const forward = details.forward;
+        const [type] = details.operation;
+
+        return [
+            ['Signer', details.signer.name],
+            ['From account', `@${details.username}`],
+            ['Destination', `@${details.recipient} (${type === 'transfer' ? 'Hive transfer' : 'Hive Engine custom_json'})`],
+            ['Amount', forward.amount],
+            ['Swap', forward.txIdSent],
+            ['Bridge reply', forward.txIdReceived]
+        ];
+    }
+
+    /**
+     * Summary rows shown above the operation
+     */
+    function getSummary(details, now) {
+        if (details.forward) {
+            return getForwardSummary(details);
+        }
+
+        const swap = details.swap;
+        const liquidity = MarketManager.getLiquidity();
+        const pools = MarketManager.getLiquidityAge();
+        const feeConfig = SwapManager.getFeeConfigInfo();
+        const [type] = details.operation;
+
+        const rows = [
+            ['Signer', details.signer.name],
+            ['From account', `@${details.username}`],
+            ['Destination', `@${CONFIG.BRIDGE_USER} (${type === 'transfer' ? 'Hive transfer' : 'Hive Engine custom_json'})`],
+            ['Amount', `${swap.amount.toFixed(3)} ${swap.from}`],
+            ['Expected output', `${swap.expected.toFixed(3)} ${swap.to}`],
+            ['Fee', `${swap.fee.toFixed(3)} ${swap.from} (${swap.feePercent.toFixed(3)}%)`],
+            ['Minimum receive', `${BridgeMemo.roundMinReceive(swap.minReceive).toFixed(3)} ${swap.to} (${swap.slippage}% slippage)`]
+        ];
+
+        if (details.recipient) {
+            rows.push(['Deliver to', `@${details.recipient} (second transfer after the bridge reply)`]);
+        }
+
+        rows.push(
+            ['Pools', `${Utils.formatNumber(liquidity.hive, 3)} HIVE / ${Utils.formatNumber(liquidity.swapHive, 3)} SWAP.HIVE`],
+            ['Pools fetched', pools.lastFetch ? formatAge(pools.lastFetch, now) : 'never'],
+            ['Fee config', feeConfig.loadedAt
+                ? `${feeConfig.url} (${formatAge(feeConfig.loadedAt, now)})`
+                : 'built-in defaults']
+        );
+
+        return rows;
+    }
+
+    /**
+     * Fill the dialog for the swap being confirmed
+     */
+    function render() {
+        if (!current) return;
+        const now = Date.now();
+
+        const title = document.getElementById('swapConfirmTitle');
+        const warningsBox = document.getElementById('swapConfirmWarnings');
+        const summaryBody = document.querySelector('#swapConfirmSummary tbody');
+        const operationBox = document.getElementById('swapConfirmOperation');
+        const payloadBox = document.getElementById('swapConfirmPayload');
+        const thresholdInput = document.getElementById('feeWarningPercent');
+
+        if (title) {
+            title.textContent = current.forward ? 'Confirm Delivery' : 'Confirm Swap';
+        }
+
+        if (warningsBox) {
+            warningsBox.innerHTML = '';
+            (current.swap ? getWarnings(current.swap, now) : []).forEach(text => {
+                const warning = document.createElement('div');
+                warning.className = 'confirm-warning';
+                warning.textContent = `⚠ ${text}`;
+                warningsBox.appendChild(warning);
+            });
+        }
+
+        if (summaryBody) {
+            summaryBody.innerHTML = '';
+            getSummary(current, now).forEach(([label, value]) => {
+                const tr = document.createElement('tr');
+                const th = document.createElement('th');
+                th.textContent = label;
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(th);
+                tr.appendChild(td);
+                summaryBody.appendChild(tr);
+            });
+        }
+
+        const [type, data] = current.operation;
+        if (operationBox) {
+            operationBox.textContent = JSON.stringify(current.operation, null, 2);
+        }
+        if (payloadBox) {
+            // The custom_json payload is a string in the operation, shown decoded for reading
+            payloadBox.classList.toggle('d-none', type !== 'custom_json');
+            payloadBox.textContent = type === 'custom_json' ? JSON.stringify(JSON.parse(data.json), null, 2) : '';
+        }
+        if (thresholdInput && document.activeElement !== thresholdInput) {
+            thresholdInput.value = getFeeThreshold();
+        }
+    }
+
+    /**
+     * Plain text version of the dialog for browsers without the modal
+     */
+    function describe(details) {
+        const lines = (details.swap ? getWarnings(details.swap) : []).map(text => `WARNING: ${text}`);
+        getSummary(details, Date.now()).forEach(([label, value]) => lines.push(`${label}: ${value}`));
+        lines.push('', JSON.stringify(details.operation));
+        return lines.join('\n');
+    }
+
+    /**
+     * Ask the user to confirm a swap, or the delivery of its output
+     * details: { swap, username, recipient, signer, operation }
+     * A delivery passes forward: { txIdSent, txIdReceived, amount } instead of swap
+     * Resolves with true when the user confirms, false when the dialog is dismissed
+     */
+    function request(details) {
+        const element = document.getElementById('swapConfirmModal');
+        const confirmButton = document.getElementById('swapConfirmButton');
+        if (!element || !confirmButton || typeof bootstrap === 'undefined') {
+            const action = details.forward ? 'delivery' : 'swap';
+            return Promise.resolve(confirm(`Confirm ${action}?\n\n${describe(details)}`));
+        }
+
+        return new Promise(resolve => {
+            const modal = bootstrap.Modal.getOrCreateInstance(element);
+            let confirmed = false;
+
+            const onConfirm = () => {
+                confirmed = true;
+                modal.hide();
+            };
+            const onHidden = () => {
+                confirmButton.removeEventListener('click', onConfirm);
+                element.removeEventListener('hidden.bs.modal', onHidden);
+                current = null;
+                resolve(confirmed);
+            };
+
+            current = details;
+            render();
+            confirmButton.addEventListener('click', onConfirm);
+            element.addEventListener('hidden.bs.modal', onHidden);
+            modal.show();
+        });
+    }
+
+    /**
+     * Bind the fee threshold input
+     */
+    function initialize() {
+        const thresholdInput = document.getElementById('feeWarningPercent');
+        if (thresholdInput) {
+            thresholdInput.addEventListener('input', () => {
+                setFeeThreshold(thresholdInput.value === '' ? -1 : thresholdInput.value);
+                render();
+            });
+        }
+    }
+
+    // Public API
+    return {
+        initialize,
+        request,
+        getWarnings,
+        getFeeThreshold,
+        setFeeThreshold
+    };
+})();
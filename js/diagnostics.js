@@ -0,0 +1,345 @@
+/**
+ * Diagnostics Module
+ * Records every Hive RPC, Hive Engine RPC, CoinGecko and fee config request
+ * (method, node, latency, status, error) in a ring buffer and shows per-node
+ * success rates and recent failures, with a copyable report for bug reports
+ * Node health probes are not recorded, the node panels show their results
+ */
+
+const Diagnostics = (function() {
+    const RING_SIZE = 300;         // Requests kept in memory
+    const ERROR_RING_SIZE = 50;    // Handled app errors kept in memory
+    const FAILURES_SHOWN = 20;     // Recent failures listed in the panel
+    const REPORT_REQUESTS = 50;    // Latest requests included in the report
+
+    const entries = [];    // Oldest first
+    const appErrors = [];  // Oldest first
+    let installed = false;
+
+    // ==================== RECORDING ====================
+
+    /**
+     * Push into a ring buffer, dropping the oldest item when full
+     */
+    function pushRing(ring, item, size) {
+        ring.push(item);
+        if (ring.length > size) {
+            ring.shift();
+        }
+    }
+
+    /**
+     * Short error text for a failed request
+     */
+    function errorText(error) {
+        if (!error) return 'Unknown error';
+        if (error.response && error.response.status) {
+            return `HTTP ${error.response.status}${error.message ? ': ' + error.message : ''}`;
+        }
+        return error.message || String(error);
+    }
+
+    /**
+     * Record a finished request
+     */
+    function record(source, method, node, latency, error) {
+        pushRing(entries, {
+            time: Date.now(),
+            source: source,
+            method: method,
+            node: node || 'unknown',
+            latency: Math.round(latency),
+            ok: !error,
+            error: error ? errorText(error) : null
+        }, RING_SIZE);
+    }
+
+    /**
+     * Start timing a request, the returned function records it with an optional error
+     */
+    function start(source, method, node) {
+        const started = performance.now();
+        return (error) => record(source, method, node, performance.now() - started, error);
+    }
+
+    /**
+     * Time an async request and record its outcome
+     */
+    async function track(source, method, node, fn) {
+        const done = start(source, method, node);
+        try {
+            const result = await fn();
+            done(null);
+            return result;
+        } catch (error) {
+            done(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record an error handled by Utils.handleError
+     */
+    function recordError(context, handled) {
+        pushRing(appErrors, {
+            time: Date.now(),
+            context: context || 'app',
+            type: handled.type,
+            message: handled.message
+        }, ERROR_RING_SIZE);
+    }
+
+    // ==================== INSTRUMENTATION ====================
+
+    /**
+     * Wrap hive.api.send, which every hive-js API call goes through
+     */
+    function instrumentHive() {
+        const send = hive.api.send;
+        hive.api.send = function(api, data, callback) {
+            const done = start('hive', `${api}.${data.method}`, hive.api.options.url);
+            return send.call(this, api, data, (error, result) => {
+                done(error);
+                if (callback) callback(error, result);
+            });
+        };
+    }
+
+    /**
+     * Wrap SSC.prototype.send, which every sscjs call (find, getLatestBlockInfo, ...) goes through
+     */
+    function instrumentEngine() {
+        const send = SSC.prototype.send;
+        SSC.prototype.send = function(endpoint, request, callback) {
+            const params = request.params || {};
+            const method = params.contract ? `${request.method} ${params.contract}.${params.table}` : request.method;
+            // Endpoint is the node URL plus /contracts or /blockchain
+            const done = start('engine', method, endpoint.replace(/\/(contracts|blockchain)$/, ''));
+
+            if (callback) {
+                return send.call(this, endpoint, request, (error, result) => {
+                    done(error);
+                    callback(error, result);
+                });
+            }
+            return send.call(this, endpoint, request).then(result => {
+                done(null);
+                return result;
+            }, error => {
+                done(error);
+                throw error;
+            });
+        };
+    }
+
+    // ==================== STATISTICS ====================
+
+    /**
+     * Success rate and latency per source and node, most used first
+     */
+    function getNodeStats() {
+        const stats = {};
+        entries.forEach(entry => {
+            const key = `${entry.source} ${entry.node}`;
+            if (!stats[key]) {
+                stats[key] = { source: entry.source, node: entry.node, total: 0, failed: 0, latencySum: 0, lastError: null };
+            }
+            const stat = stats[key];
+            stat.total++;
+            stat.latencySum += entry.latency;
+            if (!entry.ok) {
+                stat.failed++;
+                stat.lastError = entry.error;
+            }
+        });
+
+        return Object.values(stats)
+            .map(stat => ({
+                source: stat.source,
+                node: stat.node,
+                total: stat.total,
+                failed: stat.failed,
+                successRate: Utils.roundTo(((stat.total - stat.failed) / stat.total) * 100, 1),
+                avgLatency: Math.round(stat.latencySum / stat.total),
+                lastError: stat.lastError
+            }))
+            .sort((a, b) => b.total - a.total);
+    }
+
+    /**
+     * Latest failed requests, newest first
+     */
+    function getRecentFailures(limit = FAILURES_SHOWN) {
+        return entries.filter(entry => !entry.ok).slice(-limit).reverse();
+    }
+
+    /**
+     * Recorded requests, oldest first
+     */
+    function getEntries() {
+        return entries.slice();
+    }
+
+    /**
+     * Forget recorded requests and errors
+     */
+    function clear() {
+        entries.length = 0;
+        appErrors.length = 0;
+    }
+
+    // ==================== REPORT ====================
+
+    /**
+     * Format a time for the report and panel
+     */
+    function formatTime(time) {
+        return new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+    }
+
+    /**
+     * Build a plain text diagnostics report for bug reports
+     */
+    function buildReport() {
+        const lines = [
+            'uswap diagnostics report',
+            `Generated: ${formatTime(Date.now())} UTC`,
+            `Page: ${window.location.origin}${window.location.pathname}`,
+            `Browser: ${navigator.userAgent}`,
+            `Online: ${navigator.onLine}`,
+            `Account: ${localStorage.getItem('hiveUsername') || '-'}`
+        ];
+
+        ['hive', 'engine'].forEach(type => {
+            lines.push(`${type === 'hive' ? 'Hive' : 'Engine'} node: ${APIManager.getCurrentNode(type) || '-'} (${APIManager.getNodeMode(type)})`);
+        });
+
+        lines.push('', `== Per node (${entries.length} requests recorded) ==`);
+        getNodeStats().forEach(stat => {
+            lines.push(`${stat.source} ${stat.node}: ${stat.total} requests, ${stat.successRate}% ok, avg ${stat.avgLatency} ms` +
+                (stat.lastError ? `, last error: ${stat.lastError}` : ''));
+        });
+
+        lines.push('', '== Recent failures ==');
+        getRecentFailures().forEach(entry => {
+            lines.push(`${formatTime(entry.time)} ${entry.source} ${entry.method} @ ${entry.node} (${entry.latency} ms): ${entry.error}`);
+        });
+
+        lines.push('', '== App errors ==');
+        appErrors.slice().reverse().forEach(entry => {
+            lines.push(`${formatTime(entry.time)} [${entry.context}] ${entry.type}: ${entry.message}`);
+        });
+
+        lines.push('', `== Last ${REPORT_REQUESTS} requests ==`);
+        entries.slice(-REPORT_REQUESTS).reverse().forEach(entry => {
+            lines.push(`${formatTime(entry.time)} ${entry.ok ? 'OK  ' : 'FAIL'} ${entry.source} ${entry.method} @ ${entry.node} ${entry.latency} ms`);
+        });
+
+        return lines.join('\n');
+    }
+
+    // ==================== PANEL ====================
+
+    /**
+     * Render the diagnostics panel
+     */
+    function render() {
+        const summary = document.getElementById('diagnosticsSummary');
+        const statsBody = document.querySelector('#diagnosticsNodeStats tbody');
+        const failuresBody = document.querySelector('#diagnosticsFailures tbody');
+        if (!summary || !statsBody || !failuresBody) return;
+
+        const failed = entries.filter(entry => !entry.ok).length;
+        summary.textContent = entries.length === 0
+            ? 'No requests recorded yet.'
+            : `${entries.length} requests recorded since ${formatTime(entries[0].time)} UTC, ${failed} failed.`;
+
+        statsBody.innerHTML = '';
+        getNodeStats().forEach(stat => {
+            const tr = document.createElement('tr');
+            tr.appendChild(Utils.tableCell(stat.source));
+            tr.appendChild(Utils.tableCell(stat.node, 'diagnostics-node'));
+            tr.appendChild(Utils.tableCell(String(stat.total)));
+            tr.appendChild(Utils.tableCell(`${stat.successRate}%`, stat.failed > 0 ? 'text-warning' : 'text-success'));
+            tr.appendChild(Utils.tableCell(`${stat.avgLatency} ms`));
+            statsBody.appendChild(tr);
+        });
+
+        failuresBody.innerHTML = '';
+        const failures = getRecentFailures();
+        if (failures.length === 0) {
+            const tr = document.createElement('tr');
+            const td = Utils.tableCell('No failed requests.');
+            td.colSpan = 4;
+            tr.appendChild(td);
+            failuresBody.appendChild(tr);
+        }
+        failures.forEach(entry => {
+            const tr = document.createElement('tr');
+            tr.appendChild(Utils.tableCell(formatTime(entry.time).slice(11)));
+            tr.appendChild(Utils.tableCell(`${entry.source} ${entry.method}`));
+            tr.appendChild(Utils.tableCell(entry.node, 'diagnostics-node'));
+            tr.appendChild(Utils.tableCell(entry.error, 'text-danger'));
+            failuresBody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Bind the panel buttons
+     */
+    function setupPanel() {
+        const modal = document.getElementById('diagnosticsModal');
+        const copyButton = document.getElementById('diagnosticsCopy');
+        const clearButton = document.getElementById('diagnosticsClear');
+
+        if (modal) {
+            modal.addEventListener('show.bs.modal', render);
+        }
+
+        if (copyButton) {
+            copyButton.addEventListener('click', async () => {
+                if (await Utils.copyText(buildReport())) {
+                    UIManager.showSuccess('Diagnostics report copied to clipboard');
+                } else {
+                    UIManager.showError('Could not copy the diagnostics report');
+                }
+            });
+        }
+
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                clear();
+                render();
+            });
+        }
+    }
+
+    /**
+     * Instrument the API libraries and bind the panel
+     * Runs before any API call so startup requests are recorded
+     */
+    function initialize() {
+        if (installed) return;
+        installed = true;
+
+        if (typeof hive !== 'undefined') {
+            instrumentHive();
+        }
+        if (typeof SSC !== 'undefined') {
+            instrumentEngine();
+        }
+        setupPanel();
+    }
+
+    // Public API
+    return {
+        initialize,
+        track,
+        recordError,
+        getEntries,
+        getNodeStats,
+        getRecentFailures,
+        buildReport,
+        clear
+    };
+})();
@@ -0,0 +1,254 @@
+/**
+ * History Export Module
+ * Exports swap records to CSV/JSON for accounting and imports JSON backups
+ */
+
+const HistoryExport = (function() {
+    const FORMAT_VERSION = 1;
+    const VALID_TOKENS = ["HIVE", "SWAP.HIVE"];
+    const VALID_STATUSES = ["pending", "completed", "refunded", "not-sent"];
+    const TX_ID_PATTERN = /^[0-9a-f]{40}$/;
+    // Reply IDs stored by older versions, SwapManager.loadSwapHistory replaces them
+    const LEGACY_REPLY_IDS = ["uswap-transfer", "uswap-refund"];
+    const AMOUNT_PATTERN = /^\d+(\.\d{1,3})? (HIVE|SWAP\.HIVE)$/;
+    // Delivery is only set up when signing on this device, backups never restore it
+    const DELIVERY_FIELDS = ["recipient", "forwardStatus", "forwardTxId", "forwardError"];
+
+    // CSV columns in export order: [header, row field]
+    const CSV_COLUMNS = [
+        ["Date (UTC)", "date"],
+        ["Account", "username"],
+        ["Recipient", "recipient"],
+        ["Status", "status"],
+        ["Amount Sent", "amountSent"],
+        ["Sent Token", "sentToken"],
+        ["Amount Received", "amountReceived"],
+        ["Received Token", "receivedToken"],
+        ["Effective Rate", "effectiveRate"],
+        ["Quoted Fee", "fee"],
+        ["Quoted Fee %", "feePercent"],
+        ["Swapped Qty", "swappedQty"],
+        ["Swapped Price", "swappedPrice"],
+        ["HIVE USD Price", "hiveUsdPrice"],
+        ["USD Value", "usdValue"],
+        ["Tx ID (Sent)", "txIdSent"],
+        ["Tx ID (Received)", "txIdReceived"],
+        ["Refund Reason", "refundReason"]
+    ];
+
+    /**
+     * Split an amount string ("1.000 HIVE") into value and token
+     */
+    function splitAmount(amount) {
+        if (!amount) return { value: null, token: '' };
+        const [quantity, token] = String(amount).trim().split(/\s+/);
+        return { value: Utils.parseNumber(quantity, 0), token: token || '' };
+    }
+
+    /**
+     * Build accounting rows from swap records
+     * HIVE USD prices missing from older records are looked up by date
+     */
+    async function buildRows(records) {
+        const rows = [];
+
+        for (const record of records) {
+            const sent = splitAmount(record.amountSent);
+            const received = splitAmount(record.amountReceived);
+
+            let hiveUsdPrice = record.hiveUsdPrice;
+            if (!hiveUsdPrice) {
+                hiveUsdPrice = await MarketManager.getHivePriceAt(record.timestamp);
+            }
+
+            // SWAP.HIVE is pegged 1:1 to HIVE, so both sides use the HIVE price
+            const effectiveRate = record.status === 'completed' && sent.value && received.value
+                ? Utils.roundTo(received.value / sent.value, 6)
+                : null;
+            const usdValue = hiveUsdPrice && sent.value
+                ? Utils.roundTo(sent.value * hiveUsdPrice, 2)
+                : null;
+
+            rows.push({
+                date: new Date(record.timestamp).toISOString(),
+                username: record.username,
+                recipient: record.recipient || record.username,
+                status: record.status,
+                amountSent: sent.value,
+                sentToken: sent.token,
+                amountReceived: received.value,
+                receivedToken: received.token,
+                effectiveRate: effectiveRate,
+                fee: record.fee != null ? record.fee : null,
+                feePercent: record.feePercent != null ? record.feePercent : null,
+                swappedQty: record.swappedQty || null,
+                swappedPrice: record.swappedPrice || null,
+                hiveUsdPrice: hiveUsdPrice || null,
+                usdValue: usdValue,
+                txIdSent: record.txIdSent,
+                txIdReceived: record.txIdReceived || null,
+                refundReason: record.refundReason || null
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Quote a CSV cell, neutralizing values a spreadsheet would run as a formula
+     */
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+            text = "'" + text;
+        }
+        if (/[",\r\n]/.test(text)) {
+            text = '"' + text.replace(/"/g, '""') + '"';
+        }
+        return text;
+    }
+
+    /**
+     * Render rows as CSV
+     */
+    function toCSV(rows) {
+        const lines = [CSV_COLUMNS.map(column => csvCell(column[0])).join(',')];
+        for (const row of rows) {
+            lines.push(CSV_COLUMNS.map(column => csvCell(row[column[1]])).join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Render records and their accounting rows as JSON
+     * The records array is what importJSON reads back
+     */
+    function toJSON(records, rows) {
+        return JSON.stringify({
+            version: FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            records: records,
+            rows: rows
+        }, null, 2);
+    }
+
+    /**
+     * Build an export file name for a user
+     */
+    function fileName(username, extension) {
+        return `uswap-history-${username}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    }
+
+    /**
+     * Export a user's swap records as CSV
+     */
+    async function exportCSV(username, records) {
+        const rows = await buildRows(records);
+        Utils.downloadFile(fileName(username, 'csv'), toCSV(rows), 'text/csv;charset=utf-8');
+        return rows.length;
+    }
+
+    /**
+     * Export a user's swap records as JSON
+     */
+    async function exportJSON(username, records) {
+        const rows = await buildRows(records);
+        Utils.downloadFile(fileName(username, 'json'), toJSON(records, rows), 'application/json');
+        return rows.length;
+    }
+
+    /**
+     * Optional fields are valid when missing or matching the check
+     */
+    function isEmpty(value) {
+        return value === null || value === undefined;
+    }
+
+    /**
+     * Check an imported record has the fields the history needs
+     * Imported records are rendered in the history table, so every field used
+     * in a link or cell is checked against its exact format
+     */
+    function validateRecord(record, index) {
+        const position = `Record ${index + 1}`;
+        if (!record || typeof record !== 'object') {
+            throw new Utils.ValidationError(`${position} is not an object`);
+        }
+        if (!TX_ID_PATTERN.test(record.txIdSent)) {
+            throw new Utils.ValidationError(`${position} has an invalid sent transaction ID`);
+        }
+        if (!isEmpty(record.txIdReceived) && !TX_ID_PATTERN.test(record.txIdReceived) &&
+            !LEGACY_REPLY_IDS.includes(record.txIdReceived)) {
+            throw new Utils.ValidationError(`${position} has an invalid received transaction ID`);
+        }
+        if (!Utils.isValidUsername(record.username)) {
+            throw new Utils.ValidationError(`${position} has an invalid username`);
+        }
+        if (!VALID_TOKENS.includes(record.fromToken) || !VALID_TOKENS.includes(record.toToken)) {
+            throw new Utils.ValidationError(`${position} has an unknown token`);
+        }
+        if (!VALID_STATUSES.includes(record.status)) {
+            throw new Utils.ValidationError(`${position} has an unknown status`);
+        }
+        if (!AMOUNT_PATTERN.test(record.amountSent) || !Number.isFinite(record.timestamp)) {
+            throw new Utils.ValidationError(`${position} is missing its amount or date`);
+        }
+        if (!isEmpty(record.amountReceived) && !AMOUNT_PATTERN.test(record.amountReceived)) {
+            throw new Utils.ValidationError(`${position} has an invalid received amount`);
+        }
+    }
+
+    /**
+     * Copy of an imported record without its delivery fields
+     */
+    function withoutDelivery(record) {
+        const copy = { ...record };
+        DELIVERY_FIELDS.forEach(field => delete copy[field]);
+        return copy;
+    }
+
+    /**
+     * Parse a JSON export (or a bare array of records) into swap records
+     * Delivery fields are dropped, an imported record is never forwarded
+     */
+    function parseImport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Utils.ValidationError("Import file is not valid JSON");
+        }
+
+        const records = Array.isArray(data) ? data : data && data.records;
+        if (!Array.isArray(records)) {
+            throw new Utils.ValidationError("Import file has no swap records");
+        }
+        if (data.version && data.version > FORMAT_VERSION) {
+            throw new Utils.ValidationError(`Unsupported export version ${data.version}`);
+        }
+
+        records.forEach(validateRecord);
+        return records.map(withoutDelivery);
+    }
+
+    /**
+     * Import a JSON export file, merging records into stored history
+     */
+    async function importJSON(file) {
+        const records = parseImport(await file.text());
+        return SwapManager.importSwapRecords(records);
+    }
+
+    // Public API
+    return {
+        buildRows,
+        toCSV,
+        toJSON,
+        parseImport,
+        validateRecord,
+        exportCSV,
+        exportJSON,
+        importJSON
+    };
+})();
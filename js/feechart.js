@@ -0,0 +1,394 @@
+/**
+ * Fee Chart Module
+ * Plots effective rate and fee % against swap size for both directions using
+ * SwapManager.calculateFee, with the current input highlighted and a what-if
+ * simulator for hypothetical pool sizes
+ */
+
+const FeeChart = (function() {
+    const POINTS = 120;             // Samples per curve
+    const DEFAULT_RANGE = 0.25;     // Default x range, share of the total pool
+    const PADDING = { top: 12, right: 12, bottom: 26, left: 58 };
+
+    const DIRECTIONS = [
+        { from: "HIVE", to: "SWAP.HIVE", label: "HIVE → SWAP.HIVE", color: null },
+        { from: "SWAP.HIVE", to: "HIVE", label: "SWAP.HIVE → HIVE", color: "#667eea" }
+    ];
+
+    // What-if pools, null fields follow the live pools
+    const simulation = {
+        hive: null,
+        swapHive: null,
+        maxAmount: null
+    };
+
+    let renderPending = false;
+
+    // ==================== DATA ====================
+
+    /**
+     * Live bridge pools used for fee calculation
+     */
+    function getLivePools() {
+        return { hive: CONFIG.HIVEPOOL, swapHive: CONFIG.SHIVEPOOL };
+    }
+
+    /**
+     * Pools the chart plots: simulated values where set, live values otherwise
+     */
+    function getChartPools() {
+        const live = getLivePools();
+        return {
+            hive: simulation.hive !== null ? simulation.hive : live.hive,
+            swapHive: simulation.swapHive !== null ? simulation.swapHive : live.swapHive
+        };
+    }
+
+    /**
+     * Check if any simulated pool differs from the live pools
+     */
+    function isSimulating() {
+        const live = getLivePools();
+        const pools = getChartPools();
+        return pools.hive !== live.hive || pools.swapHive !== live.swapHive;
+    }
+
+    /**
+     * Round up to 1, 2 or 5 times a power of ten
+     */
+    function niceCeil(value) {
+        if (value <= 0) return 1;
+        const power = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 5, 10].find(multiple => multiple * power >= value);
+        return step * power;
+    }
+
+    /**
+     * Largest swap size on the x axis
+     */
+    function getMaxAmount(pools, currentAmount) {
+        if (simulation.maxAmount) return simulation.maxAmount;
+        const total = pools.hive + pools.swapHive;
+        return niceCeil(Math.max(total * DEFAULT_RANGE, currentAmount * 1.5, CONFIG.MINIMUM_SWAP * 10));
+    }
+
+    /**
+     * Effective rate (output per input) and fee % at a swap size
+     */
+    function quote(amount, direction, pools) {
+        const result = SwapManager.calculateFee(amount, direction.from, direction.to, pools);
+        return {
+            rate: result.expectedOutput / amount,
+            feePercent: result.feePercent
+        };
+    }
+
+    /**
+     * Sample a direction's curves from 0 to maxAmount
+     */
+    function sample(direction, pools, maxAmount) {
+        const rate = [];
+        const fee = [];
+        for (let i = 1; i <= POINTS; i++) {
+            const amount = (maxAmount * i) / POINTS;
+            const point = quote(amount, direction, pools);
+            rate.push([amount, point.rate]);
+            fee.push([amount, point.feePercent]);
+        }
+        return { rate, fee };
+    }
+
+    // ==================== DRAWING ====================
+
+    /**
+     * Read a CSS variable from the theme
+     */
+    function themeColor(name, fallback) {
+        const value = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+        return value || fallback;
+    }
+
+    /**
+     * Size a canvas for its CSS width and the screen pixel ratio
+     */
+    function prepareCanvas(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        return { ctx, width, height };
+    }
+
+    /**
+     * Draw a line chart
+     * series: [{ points: [[x, y]], color, dashed }], marker: { x, points: [{ y, color }] } or null
+     */
+    function drawChart(canvas, options) {
+        const { ctx, width, height } = prepareCanvas(canvas);
+        const plotWidth = width - PADDING.left - PADDING.right;
+        const plotHeight = height - PADDING.top - PADDING.bottom;
+        if (plotWidth <= 0 || plotHeight <= 0) return;
+
+        // Y range from all points, padded so flat curves stay visible
+        const values = options.series.flatMap(series => series.points.map(point => point[1]));
+        let yMin = Math.min(...values);
+        let yMax = Math.max(...values);
+        const margin = Math.max((yMax - yMin) * 0.1, Math.abs(yMax) * 0.0005, 1e-6);
+        yMin -= margin;
+        yMax += margin;
+
+        const xScale = x => PADDING.left + (x / options.xMax) * plotWidth;
+        const yScale = y => PADDING.top + (1 - (y - yMin) / (yMax - yMin)) * plotHeight;
+
+        // Grid and axis labels
+        ctx.font = '11px Inter, sans-serif';
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.fillStyle = themeColor('--text-muted', '#718096');
+        for (let i = 0; i <= 4; i++) {
+            const y = yMin + ((yMax - yMin) * i) / 4;
+            const py = yScale(y);
+            ctx.beginPath();
+            ctx.moveTo(PADDING.left, py);
+            ctx.lineTo(width - PADDING.right, py);
+            ctx.stroke();
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(options.formatY(y), PADDING.left - 6, py);
+
+            const x = (options.xMax * i) / 4;
+            ctx.textAlign = i === 0 ? 'left' : i === 4 ? 'right' : 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillText(Utils.formatNumber(x, 0), xScale(x), height - PADDING.bottom + 6);
+        }
+
+        // Curves
+        ctx.lineWidth = 2;
+        options.series.forEach(series => {
+            ctx.strokeStyle = series.color;
+            ctx.globalAlpha = series.dashed ? 0.45 : 1;
+            ctx.setLineDash(series.dashed ? [5, 4] : []);
+            ctx.beginPath();
+            series.points.forEach((point, index) => {
+                const px = xScale(point[0]);
+                const py = yScale(point[1]);
+                if (index === 0) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+            });
+            ctx.stroke();
+        });
+        ctx.globalAlpha = 1;
+        ctx.setLineDash([]);
+
+        // Current input
+        if (options.marker && options.marker.x > 0 && options.marker.x <= options.xMax) {
+            const px = xScale(options.marker.x);
+            ctx.strokeStyle = themeColor('--text-secondary', '#a0aec0');
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(px, PADDING.top);
+            ctx.lineTo(px, height - PADDING.bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            options.marker.points.forEach(point => {
+                ctx.fillStyle = point.color;
+                ctx.beginPath();
+                ctx.arc(px, yScale(point.y), 4, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+    }
+
+    // ==================== RENDER ====================
+
+    /**
+     * Describe a quote for the readout
+     */
+    function describeQuote(point) {
+        return `fee ${point.feePercent.toFixed(4)}%, rate ${point.rate.toFixed(5)}`;
+    }
+
+    /**
+     * Pool sizes and balance as text
+     */
+    function describePools(pools) {
+        const total = pools.hive + pools.swapHive;
+        const share = total > 0 ? (pools.hive / total) * 100 : 0;
+        return `${Utils.formatNumber(pools.hive, 0)} HIVE / ${Utils.formatNumber(pools.swapHive, 0)} SWAP.HIVE (${share.toFixed(1)}% HIVE)`;
+    }
+
+    /**
+     * Update the text below the charts
+     */
+    function renderReadout(swap, pools, simulating) {
+        const readout = document.getElementById('feeChartReadout');
+        if (!readout) return;
+
+        const lines = [`Live pools: ${describePools(getLivePools())}`];
+        if (simulating) {
+            lines.push(`Simulated pools: ${describePools(pools)}`);
+        }
+
+        if (Utils.isPositiveNumber(swap.amount)) {
+            const direction = DIRECTIONS.find(d => d.from === swap.from) || DIRECTIONS[0];
+            const swapText = `${Utils.formatNumber(swap.amount, 3)} ${direction.label}`;
+            const live = quote(swap.amount, direction, getLivePools());
+            if (simulating) {
+                const simulated = quote(swap.amount, direction, pools);
+                lines.push(`${swapText}: live ${describeQuote(live)} · simulated ${describeQuote(simulated)}`);
+            } else {
+                lines.push(`${swapText}: ${describeQuote(live)}`);
+            }
+        }
+
+        readout.innerHTML = '';
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            readout.appendChild(line);
+        });
+    }
+
+    /**
+     * Draw both charts and the readout
+     */
+    function render() {
+        renderPending = false;
+        const rateCanvas = document.getElementById('feeRateChart');
+        const feeCanvas = document.getElementById('feePercentChart');
+        if (!rateCanvas || !feeCanvas) return;
+
+        const swap = SwapManager.getCurrentSwap();
+        const pools = getChartPools();
+        if (pools.hive + pools.swapHive <= 0) return;
+
+        const simulating = isSimulating();
+        const maxAmount = getMaxAmount(pools, Utils.parseNumber(swap.amount, 0));
+        const primary = themeColor('--primary-color', '#E33C3A');
+
+        const rateSeries = [];
+        const feeSeries = [];
+        const markers = { rate: [], fee: [] };
+
+        DIRECTIONS.forEach(direction => {
+            const color = direction.color || primary;
+
+            // Live curves stay visible (dashed) behind simulated ones
+            if (simulating) {
+                const live = sample(direction, getLivePools(), maxAmount);
+                rateSeries.push({ points: live.rate, color: color, dashed: true });
+                feeSeries.push({ points: live.fee, color: color, dashed: true });
+            }
+
+            const curves = sample(direction, pools, maxAmount);
+            rateSeries.push({ points: curves.rate, color: color, dashed: false });
+            feeSeries.push({ points: curves.fee, color: color, dashed: false });
+
+            if (direction.from === swap.from && Utils.isPositiveNumber(swap.amount)) {
+                const point = quote(swap.amount, direction, pools);
+                markers.rate.push({ y: point.rate, color: color });
+                markers.fee.push({ y: point.feePercent, color: color });
+            }
+        });
+
+        drawChart(rateCanvas, {
+            series: rateSeries,
+            xMax: maxAmount,
+            formatY: y => y.toFixed(4),
+            marker: { x: swap.amount, points: markers.rate }
+        });
+        drawChart(feeCanvas, {
+            series: feeSeries,
+            xMax: maxAmount,
+            formatY: y => `${y.toFixed(3)}%`,
+            marker: { x: swap.amount, points: markers.fee }
+        });
+
+        renderReadout(swap, pools, simulating);
+        updatePlaceholders(maxAmount);
+    }
+
+    /**
+     * Redraw on the next frame, several updates in a row draw once
+     */
+    function refresh() {
+        if (renderPending) return;
+        renderPending = true;
+        requestAnimationFrame(render);
+    }
+
+    // ==================== SIMULATOR ====================
+
+    /**
+     * Show the live values in empty simulator inputs
+     */
+    function updatePlaceholders(maxAmount) {
+        const live = getLivePools();
+        const hiveInput = document.getElementById('simHivePool');
+        const swapHiveInput = document.getElementById('simSwapHivePool');
+        const maxInput = document.getElementById('feeChartMax');
+        if (hiveInput) hiveInput.placeholder = live.hive.toFixed(3);
+        if (swapHiveInput) swapHiveInput.placeholder = live.swapHive.toFixed(3);
+        if (maxInput) maxInput.placeholder = String(maxAmount);
+    }
+
+    /**
+     * Read a simulator input, empty or invalid values follow the live data
+     */
+    function readInput(id) {
+        const input = document.getElementById(id);
+        if (!input || input.value === '') return null;
+        const value = Utils.parseNumber(input.value, -1);
+        return value >= 0 ? value : null;
+    }
+
+    /**
+     * Bind simulator inputs and redraw triggers
+     */
+    function initialize() {
+        const inputs = {
+            simHivePool: 'hive',
+            simSwapHivePool: 'swapHive',
+            feeChartMax: 'maxAmount'
+        };
+
+        Object.keys(inputs).forEach(id => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.addEventListener('input', () => {
+                const value = readInput(id);
+                // A zero x range cannot be drawn
+                simulation[inputs[id]] = inputs[id] === 'maxAmount' && value === 0 ? null : value;
+                refresh();
+            });
+        });
+
+        const resetButton = document.getElementById('simReset');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => {
+                Object.keys(inputs).forEach(id => {
+                    const input = document.getElementById(id);
+                    if (input) input.value = '';
+                    simulation[inputs[id]] = null;
+                });
+                refresh();
+            });
+        }
+
+        window.addEventListener('resize', refresh);
+        refresh();
+    }
+
+    // Public API
+    return {
+        initialize,
+        refresh
+    };
+})();
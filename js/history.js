@@ -0,0 +1,115 @@
+/**
+ * Account History Module
+ * Pages backwards through Hive account history with operation filtering and caching
+ */
+
+const AccountHistory = (function() {
+    const PAGE_SIZE = 1000;  // get_account_history maximum
+    const MAX_PAGES = 20;    // Safety limit per scanner
+
+    // Operation filter bits (position of the operation in the Hive operation list)
+    const OP_FILTER = {
+        transfer: Math.pow(2, 2),
+        custom_json: Math.pow(2, 18)
+    };
+
+    /**
+     * Parse Hive UTC timestamp (no timezone suffix) to milliseconds
+     */
+    function parseTimestamp(timestamp) {
+        if (!timestamp) return 0;
+        return new Date(timestamp.endsWith('Z') ? timestamp : timestamp + 'Z').getTime();
+    }
+
+    /**
+     * Create a history scanner for an account
+     * Pages are fetched lazily and cached, so several lookups share the downloads
+     * Items keep the API shape: [index, {trx_id, block, timestamp, op: [type, data]}]
+     */
+    function createScanner(account, options = {}) {
+        const filter = options.filter !== undefined ? options.filter : OP_FILTER.transfer | OP_FILTER.custom_json;
+        const maxPages = options.maxPages || MAX_PAGES;
+
+        const items = [];  // Newest first
+        let nextStart = -1;
+        let oldestTimestamp = Infinity;
+        let exhausted = false;
+        let pagesLoaded = 0;
+        let loading = Promise.resolve();
+
+        /**
+         * Fetch the next (older) page of history
+         */
+        async function fetchPage() {
+            const limit = nextStart === -1 ? PAGE_SIZE : Math.min(PAGE_SIZE, nextStart);
+            const page = await APIManager.tryWithFailover(() =>
+                hive.api.getAccountHistoryAsync(account, nextStart, limit, filter, 0)
+            );
+            pagesLoaded++;
+
+            if (!page || page.length === 0) {
+                exhausted = true;
+                return;
+            }
+
+            // Pages come oldest first, skip anything already cached
+            const lastIndex = items.length > 0 ? items[items.length - 1][0] : Infinity;
+            for (let i = page.length - 1; i >= 0; i--) {
+                if (page[i][0] < lastIndex) {
+                    items.push(page[i]);
+                }
+            }
+
+            const firstIndex = page[0][0];
+            oldestTimestamp = Math.min(oldestTimestamp, parseTimestamp(page[0][1].timestamp));
+            nextStart = firstIndex - 1;
+
+            if (nextStart < 1 || pagesLoaded >= maxPages) {
+                exhausted = true;
+            }
+        }
+
+        /**
+         * Make sure history is loaded back to the given timestamp (ms)
+         */
+        function ensureCoverage(sinceTimestamp) {
+            // A failed page must not block later lookups
+            loading = loading.catch(() => {}).then(async () => {
+                while (!exhausted && oldestTimestamp > sinceTimestamp) {
+                    await fetchPage();
+                }
+            });
+            return loading;
+        }
+
+        /**
+         * Find the newest item matching the predicate, loading back to sinceTimestamp
+         */
+        async function find(predicate, sinceTimestamp) {
+            await ensureCoverage(sinceTimestamp);
+            return items.find(predicate) || null;
+        }
+
+        /**
+         * Get all cached items newer than sinceTimestamp, loading as needed
+         */
+        async function since(sinceTimestamp) {
+            await ensureCoverage(sinceTimestamp);
+            return items.filter(item => parseTimestamp(item[1].timestamp) >= sinceTimestamp);
+        }
+
+        return {
+            account,
+            find,
+            since,
+            ensureCoverage
+        };
+    }
+
+    // Public API
+    return {
+        OP_FILTER,
+        parseTimestamp,
+        createScanner
+    };
+})();
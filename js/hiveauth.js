@@ -0,0 +1,335 @@
+/**
+ * HiveAuth Module
+ * Handles HiveAuth (HAS) websocket sessions and transaction signing
+ */
+
+const HiveAuth = (function() {
+    const SESSIONS_KEY = 'hiveAuthSessions';
+    const CONNECT_TIMEOUT = 10000; // 10 seconds
+
+    let socket = null;
+    let connecting = null;
+    let activeRequest = null;
+
+    // ==================== SESSIONS ====================
+
+    /**
+     * Get HAS server URL (localStorage override allows a local mock server)
+     */
+    function getServerUrl() {
+        return localStorage.getItem('hasServer') || CONFIG.HAS_SERVER;
+    }
+
+    /**
+     * Load all stored sessions
+     */
+    function loadSessions() {
+        try {
+            return JSON.parse(localStorage.getItem(SESSIONS_KEY) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Get a non-expired session for a username
+     */
+    function getSession(username) {
+        const session = loadSessions()[username];
+        if (!session || !session.token || !session.key) return null;
+        if (session.expire && session.expire < Date.now()) return null;
+        return session;
+    }
+
+    /**
+     * Persist session token for a username
+     */
+    function saveSession(username, session) {
+        const sessions = loadSessions();
+        sessions[username] = session;
+        localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+    }
+
+    /**
+     * Remove stored session for a username
+     */
+    function clearSession(username) {
+        const sessions = loadSessions();
+        delete sessions[username];
+        localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+    }
+
+    /**
+     * Check if a HAS error means the session token is no longer accepted
+     */
+    function isSessionError(message) {
+        return /token|expired|session|unauthori[sz]ed/i.test(message.error || '');
+    }
+
+    // ==================== ENCRYPTION ====================
+
+    function encrypt(data, key) {
+        return CryptoJS.AES.encrypt(JSON.stringify(data), key).toString();
+    }
+
+    function decrypt(data, key) {
+        const text = CryptoJS.AES.decrypt(data, key).toString(CryptoJS.enc.Utf8);
+        return JSON.parse(text);
+    }
+
+    // ==================== WEBSOCKET ====================
+
+    /**
+     * Check if HiveAuth can be used in this browser
+     */
+    function isAvailable() {
+        return typeof WebSocket !== 'undefined' &&
+               typeof CryptoJS !== 'undefined' &&
+               typeof uuidv4 !== 'undefined';
+    }
+
+    /**
+     * Open (or reuse) the websocket connection to the HAS server
+     */
+    function connect() {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            return Promise.resolve(socket);
+        }
+        if (connecting) return connecting;
+
+        connecting = new Promise((resolve, reject) => {
+            const url = getServerUrl();
+            const ws = new WebSocket(url);
+            const timer = setTimeout(() => {
+                ws.close();
+                reject(new Utils.APIError('HiveAuth server connection timeout', url));
+            }, CONNECT_TIMEOUT);
+
+            ws.onopen = () => {
+                clearTimeout(timer);
+                socket = ws;
+                resolve(ws);
+            };
+
+            ws.onerror = () => {
+                clearTimeout(timer);
+                reject(new Utils.APIError('Unable to connect to HiveAuth server', url));
+            };
+
+            ws.onclose = () => {
+                socket = null;
+                if (activeRequest) {
+                    activeRequest.fail(new Utils.TransactionError('HiveAuth connection closed'));
+                }
+            };
+
+            ws.onmessage = (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (error) {
+                    console.warn('HiveAuth: invalid message', event.data);
+                    return;
+                }
+                if (activeRequest) {
+                    activeRequest.handle(message);
+                }
+            };
+        }).finally(() => {
+            connecting = null;
+        });
+
+        return connecting;
+    }
+
+    /**
+     * Send a HAS command and dispatch replies to handlers until one settles
+     * handlers: { [cmd]: (message, resolve, reject) => void }
+     */
+    async function request(payload, handlers) {
+        const ws = await connect();
+
+        if (activeRequest) {
+            activeRequest.fail(new Utils.TransactionError('HiveAuth request superseded'));
+        }
+
+        return new Promise((resolve, reject) => {
+            let expireTimer = null;
+            let uuid = null;
+
+            const settle = (fn) => (value) => {
+                if (expireTimer) clearTimeout(expireTimer);
+                if (activeRequest === entry) activeRequest = null;
+                fn(value);
+            };
+
+            const entry = {
+                resolve: settle(resolve),
+                fail: settle(reject),
+                handle(message) {
+                    // Ignore replies belonging to another request
+                    if (uuid && message.uuid && message.uuid !== uuid) return;
+
+                    if (message.cmd && message.cmd.endsWith('_wait')) {
+                        uuid = message.uuid;
+                        if (message.expire) {
+                            if (expireTimer) clearTimeout(expireTimer);
+                            expireTimer = setTimeout(() => {
+                                entry.fail(new Utils.TransactionError('HiveAuth request expired'));
+                            }, Math.max(message.expire - Date.now(), 0));
+                        }
+                    }
+
+                    const handler = handlers[message.cmd];
+                    if (handler) {
+                        handler(message, entry.resolve, entry.fail);
+                    }
+                }
+            };
+
+            activeRequest = entry;
+            ws.send(JSON.stringify(payload));
+        });
+    }
+
+    /**
+     * Cancel the request in progress (e.g. user closed the modal)
+     */
+    function cancel() {
+        if (activeRequest) {
+            activeRequest.fail(new Utils.TransactionError('HiveAuth request cancelled', null, Utils.TX_ERROR_CODES.USER_REJECTED));
+        }
+    }
+
+    // ==================== AUTHENTICATION ====================
+
+    /**
+     * Create a new HiveAuth session, showing the QR code to the user
+     */
+    async function authenticate(username) {
+        const key = uuidv4();
+        const authData = {
+            app: CONFIG.HAS_APP
+        };
+
+        const result = await request({
+            cmd: 'auth_req',
+            account: username,
+            data: encrypt(authData, key)
+        }, {
+            auth_wait: (message) => {
+                const payload = {
+                    account: username,
+                    uuid: message.uuid,
+                    key: key,
+                    host: getServerUrl()
+                };
+                const link = 'has://auth_req/' + btoa(JSON.stringify(payload));
+                UIManager.showAuthQR(link);
+            },
+            auth_ack: (message, resolve, reject) => {
+                try {
+                    const data = decrypt(message.data, key);
+                    resolve({ token: data.token, expire: data.expire, key: key });
+                } catch (error) {
+                    reject(new Utils.TransactionError('Invalid HiveAuth authentication reply'));
+                }
+            },
+            auth_nack: (message, resolve, reject) => {
+                reject(new Utils.TransactionError('HiveAuth authentication rejected', null, Utils.TX_ERROR_CODES.USER_REJECTED));
+            },
+            auth_err: (message, resolve, reject) => {
+                reject(new Utils.TransactionError(message.error || 'HiveAuth authentication failed'));
+            }
+        });
+
+        saveSession(username, result);
+        return result;
+    }
+
+    // ==================== SIGNING ====================
+
+    /**
+     * Broadcast operations through HiveAuth, authenticating first if needed
+     * Resolves with the sign_ack message (data holds the transaction ID)
+     */
+    async function broadcast(username, ops, keyType = 'active') {
+        let session = getSession(username);
+
+        try {
+            if (!session) {
+                session = await authenticate(username);
+                // Wait for explicit user approval before sending the sign request
+                await UIManager.showAuthApprove();
+            }
+
+            UIManager.showLoading("Approve the transaction in your HiveAuth app...");
+
+            return await request({
+                cmd: 'sign_req',
+                account: username,
+                token: session.token,
+                data: encrypt({ key_type: keyType, ops: ops, broadcast: true, nonce: Date.now() }, session.key)
+            }, {
+                sign_ack: (message, resolve) => {
+                    resolve(message);
+                },
+                sign_nack: (message, resolve, reject) => {
+                    // A dead token would fail every later signature the same way
+                    if (isSessionError(message)) {
+                        clearSession(username);
+                        reject(new Utils.TransactionError('HiveAuth session expired, please sign again to re-authenticate'));
+                        return;
+                    }
+                    reject(new Utils.TransactionError(message.error || 'Transaction rejected', null, Utils.TX_ERROR_CODES.USER_REJECTED));
+                },
+                sign_err: (message, resolve, reject) => {
+                    clearSession(username);
+                    reject(new Utils.TransactionError(message.error || 'HiveAuth signing failed'));
+                }
+            });
+        } finally {
+            UIManager.hideAuthModal();
+        }
+    }
+
+    /**
+     * Sign a transfer operation
+     */
+    function requestTransfer(username, to, amount, symbol, memo) {
+        return broadcast(username, [
+            ['transfer', {
+                from: username,
+                to: to,
+                amount: `${amount} ${symbol}`,
+                memo: memo
+            }]
+        ]);
+    }
+
+    /**
+     * Sign a custom_json operation (active authority by default)
+     */
+    function requestCustomJson(username, id, json, keyType = 'active') {
+        const isPosting = keyType === 'posting';
+        return broadcast(username, [
+            ['custom_json', {
+                id: id,
+                json: json,
+                required_auths: isPosting ? [] : [username],
+                required_posting_auths: isPosting ? [username] : []
+            }]
+        ], keyType);
+    }
+
+    // Public API
+    return {
+        isAvailable,
+        getSession,
+        clearSession,
+        authenticate,
+        cancel,
+        requestTransfer,
+        requestCustomJson
+    };
+})();
@@ -0,0 +1,465 @@
+/**
+ * Limit Orders Module
+ * "Swap when the effective rate reaches X" orders: open orders are checked
+ * against freshly fetched pools every CONFIG.LIMIT_ORDER_POLL_INTERVAL and the
+ * selected signer is asked to broadcast once the target is met
+ * Signers that leave the page (HiveSigner) cannot be prompted in the background,
+ * their orders are marked ready and the user is notified to sign by hand
+ * Orders are kept in localStorage so they survive reloads
+ */
+
+const LimitOrders = (function() {
+    const STORAGE_KEY = 'limitOrders';
+
+    const STATUS = {
+        OPEN: 'open',            // Waiting for the target rate
+        READY: 'ready',          // Target met, waiting for the user to sign
+        SENT: 'sent',            // Broadcast, the swap history follows the bridge reply
+        CANCELLED: 'cancelled'
+    };
+
+    let pollTimer = null;
+    let checking = false;
+
+    // ==================== STORAGE ====================
+
+    /**
+     * Read all stored orders
+     */
+    function load() {
+        try {
+            const orders = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(orders) ? orders : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Write all orders
+     */
+    function save(orders) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(orders));
+    }
+
+    /**
+     * Apply changes to a stored order, returns the updated order or null
+     */
+    function update(id, changes) {
+        const orders = load();
+        const order = orders.find(item => item.id === id);
+        if (!order) return null;
+
+        Object.assign(order, changes);
+        save(orders);
+        return order;
+    }
+
+    // ==================== ORDERS ====================
+
+    /**
+     * Effective rate (output received per input token) for an amount on the live pools
+     */
+    function currentRate(amount, fromToken, toToken) {
+        const quote = SwapManager.calculateExpectedOutput(amount, fromToken, toToken);
+        return amount > 0 ? quote.expected / amount : 0;
+    }
+
+    /**
+     * Place an order for the loaded account
+     * Throws a ValidationError for invalid input
+     */
+    function place(amount, fromToken, targetRate, slippage) {
+        const username = WalletManager.getCurrentUser();
+        if (!username) {
+            throw new Utils.ValidationError("Please load your wallet first");
+        }
+
+        const value = Utils.parseNumber(amount, 0);
+        const target = Utils.parseNumber(targetRate, 0);
+        if (fromToken !== "HIVE" && fromToken !== "SWAP.HIVE") {
+            throw new Utils.ValidationError(`Unknown token: ${fromToken}`);
+        }
+        if (!Utils.isPositiveNumber(value) || value < CONFIG.MINIMUM_SWAP) {
+            throw new Utils.ValidationError(`Minimum swap amount is ${CONFIG.MINIMUM_SWAP}`);
+        }
+        if (!Utils.isPositiveNumber(target)) {
+            throw new Utils.ValidationError("Target rate must be greater than 0");
+        }
+        if (!Utils.isValidSlippage(slippage)) {
+            throw new Utils.ValidationError("Slippage must be between 0 and 100%");
+        }
+
+        const order = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            username: username,
+            from: fromToken,
+            to: fromToken === "HIVE" ? "SWAP.HIVE" : "HIVE",
+            amount: Utils.roundTo(value, 3),
+            targetRate: target,
+            slippage: Utils.parseNumber(slippage),
+            status: STATUS.OPEN,
+            createdAt: Date.now(),
+            triggeredAt: null,
+            txId: null,
+            message: null
+        };
+
+        const orders = load();
+        orders.push(order);
+        save(orders);
+        startPolling();
+        return order;
+    }
+
+    /**
+     * Cancel an open or ready order
+     */
+    function cancel(id) {
+        const order = load().find(item => item.id === id);
+        if (!order || (order.status !== STATUS.OPEN && order.status !== STATUS.READY)) {
+            return false;
+        }
+        update(id, { status: STATUS.CANCELLED, message: null });
+        return true;
+    }
+
+    /**
+     * Forget sent and cancelled orders of the loaded account
+     */
+    function clearFinished() {
+        const username = WalletManager.getCurrentUser();
+        save(load().filter(order => order.username !== username ||
+            order.status === STATUS.OPEN || order.status === STATUS.READY));
+    }
+
+    /**
+     * Orders of the loaded account, newest first
+     */
+    function getOrders() {
+        const username = WalletManager.getCurrentUser();
+        return load()
+            .filter(order => order.username === username)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // ==================== EXECUTION ====================
+
+    /**
+     * Build the swap for an order on the live pools
+     * minReceive never goes below the target rate, so the bridge refunds
+     * instead of filling a worse rate if the pools move before the swap lands
+     */
+    function buildSwap(order) {
+        const quote = SwapManager.calculateExpectedOutput(order.amount, order.from, order.to);
+        const slippageFloor = Utils.safeMultiply(quote.expected, 1 - order.slippage / 100);
+        const targetFloor = Math.floor(order.amount * order.targetRate * CONFIG.DECIMAL) / CONFIG.DECIMAL;
+
+        return {
+            from: order.from,
+            to: order.to,
+            amount: order.amount,
+            slippage: order.slippage,
+            expected: quote.expected,
+            fee: quote.fee,
+            feePercent: quote.feePercent,
+            minReceive: Math.min(Math.max(slippageFloor, targetFloor), quote.expected)
+        };
+    }
+
+    /**
+     * Reason an order cannot be sent right now, or null
+     */
+    function blockingReason(swap) {
+        if (!MarketManager.isLiquidityTrusted()) {
+            return MarketManager.getQuorumStatus().message || "Bridge liquidity is not confirmed";
+        }
+        if (WalletManager.getBalance(swap.from) < swap.amount) {
+            return `Insufficient ${swap.from} balance`;
+        }
+        const liquidity = MarketManager.getLiquidity();
+        const available = Utils.parseNumber(swap.to === "HIVE" ? liquidity.hive : liquidity.swapHive, 0);
+        if (swap.expected > available) {
+            return `Bridge has only ${Utils.formatNumber(available, 3)} ${swap.to} available`;
+        }
+        return null;
+    }
+
+    /**
+     * Tell the user an order needs attention, with a browser notification when the tab is hidden
+     */
+    function notify(message) {
+        UIManager.showSuccess(message);
+        if (document.hidden && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+            new Notification('Limit order', { body: message, icon: CONFIG.HAS_APP.icon });
+        }
+    }
+
+    /**
+     * Ask the signer to broadcast an order whose target is met
+     * interactive orders are previewed in the confirmation dialog; background
+     * orders with a confirmation warning (fee, stale pools) wait for the user instead
+     * Resolves with true if the swap was broadcast
+     */
+    async function send(order, signer, interactive = false) {
+        const swap = buildSwap(order);
+        const reason = blockingReason(swap);
+        if (reason) {
+            update(order.id, { message: reason });
+            return false;
+        }
+
+        if (interactive) {
+            if (!await SwapManager.confirmSwap(signer, swap, order.username)) {
+                update(order.id, { status: STATUS.READY, message: 'Not confirmed' });
+                return false;
+            }
+        } else {
+            const warnings = SwapConfirm.getWarnings(swap);
+            if (warnings.length > 0) {
+                update(order.id, { status: STATUS.READY, message: `Needs review: ${warnings[0]}` });
+                notify(`Limit order target reached: review and sign ${order.amount.toFixed(3)} ${order.from}`);
+                return false;
+            }
+        }
+
+        try {
+            const result = await SwapManager.submitSwap(signer, swap, order.username);
+            if (result.redirected) {
+                // HiveSigner records the swap once the user returns
+                update(order.id, { status: STATUS.SENT, message: `Signed with ${signer.name}` });
+                return true;
+            }
+
+            update(order.id, { status: STATUS.SENT, txId: result.transactionId || null, message: null });
+            UIManager.showSuccess(`Limit order sent: ${swap.amount.toFixed(3)} ${swap.from} at ${(swap.expected / swap.amount).toFixed(5)}`);
+            if (result.transactionId) {
+                SwapManager.trackSwap(result.transactionId, order.username, swap.to)
+                    .catch(error => Utils.handleError(error, 'SwapManager.trackSwap'));
+            }
+            return true;
+        } catch (error) {
+            const handled = Utils.handleError(error, 'LimitOrders.send');
+            // A rejected or failed prompt waits for the user instead of prompting again every poll
+            update(order.id, { status: STATUS.READY, message: handled.message });
+            return false;
+        }
+    }
+
+    /**
+     * Sign a ready (or open) order now, if its target is still met
+     */
+    async function signNow(id) {
+        const order = load().find(item => item.id === id);
+        if (!order || (order.status !== STATUS.OPEN && order.status !== STATUS.READY)) return false;
+
+        try {
+            await MarketManager.fetchLiquidity(true);
+            if (currentRate(order.amount, order.from, order.to) < order.targetRate) {
+                UIManager.showError("The target rate is no longer met, the order stays open");
+                update(id, { status: STATUS.OPEN, message: null });
+                return false;
+            }
+            return await send(order, Signers.requireSelected(), true);
+        } catch (error) {
+            UIManager.showError(Utils.handleError(error, 'LimitOrders.signNow').message);
+            return false;
+        } finally {
+            render();
+        }
+    }
+
+    /**
+     * Check open orders of the loaded account against fresh pools
+     */
+    async function check() {
+        if (checking) return;
+        const open = getOrders().filter(order => order.status === STATUS.OPEN);
+        if (open.length === 0) {
+            stopPolling();
+            return;
+        }
+
+        checking = true;
+        try {
+            await MarketManager.fetchLiquidity(true);
+
+            // Oldest orders go first
+            for (const order of open.reverse()) {
+                if (currentRate(order.amount, order.from, order.to) < order.targetRate) {
+                    if (order.message) update(order.id, { message: null });
+                    continue;
+                }
+
+                update(order.id, { triggeredAt: Date.now() });
+                const signer = Signers.getSelected();
+                if (signer.redirects || !signer.isAvailable()) {
+                    update(order.id, { status: STATUS.READY, message: `${signer.name} cannot sign in the background` });
+                    notify(`Limit order target reached: sign ${order.amount.toFixed(3)} ${order.from} now`);
+                    continue;
+                }
+
+                await send(load().find(item => item.id === order.id), signer);
+            }
+        } catch (error) {
+            const handled = Utils.handleError(error, 'LimitOrders.check');
+            console.error(handled.message);
+        } finally {
+            checking = false;
+            render();
+        }
+    }
+
+    /**
+     * Poll while the loaded account has open orders
+     */
+    function startPolling() {
+        if (pollTimer) return;
+        pollTimer = setInterval(check, CONFIG.LIMIT_ORDER_POLL_INTERVAL);
+    }
+
+    /**
+     * Stop polling
+     */
+    function stopPolling() {
+        if (pollTimer) {
+            clearInterval(pollTimer);
+            pollTimer = null;
+        }
+    }
+
+    // ==================== PANEL ====================
+
+    /**
+     * Show the live rate for the order form
+     */
+    function updateRateHint() {
+        const hint = document.getElementById('limitRateHint');
+        if (!hint) return;
+
+        const amount = Utils.parseNumber(document.getElementById('limitAmount').value, 0);
+        const from = document.getElementById('limitDirection').value;
+        const to = from === "HIVE" ? "SWAP.HIVE" : "HIVE";
+        hint.textContent = Utils.isPositiveNumber(amount)
+            ? `Current rate for ${Utils.formatNumber(amount, 3)} ${from}: ${currentRate(amount, from, to).toFixed(5)} ${to} per ${from}`
+            : '';
+    }
+
+    /**
+     * Render the orders of the loaded account
+     */
+    function render() {
+        const body = document.querySelector('#limitOrdersTable tbody');
+        if (!body) return;
+
+        updateRateHint();
+        body.innerHTML = '';
+
+        const orders = getOrders();
+        if (orders.length === 0) {
+            const tr = document.createElement('tr');
+            const td = Utils.tableCell('No limit orders.');
+            td.colSpan = 6;
+            tr.appendChild(td);
+            body.appendChild(tr);
+            return;
+        }
+
+        orders.forEach(order => {
+            const tr = document.createElement('tr');
+            const active = order.status === STATUS.OPEN || order.status === STATUS.READY;
+
+            tr.appendChild(Utils.tableCell(Utils.formatDate(order.createdAt)));
+            tr.appendChild(Utils.tableCell(`${order.amount.toFixed(3)} ${order.from} → ${order.to}`));
+            tr.appendChild(Utils.tableCell(`≥ ${order.targetRate}`));
+            tr.appendChild(Utils.tableCell(active ? currentRate(order.amount, order.from, order.to).toFixed(5) : '-'));
+
+            const status = Utils.tableCell(order.status, `limit-status limit-status-${order.status}`);
+            if (order.txId) status.title = order.txId;
+            if (order.message) {
+                const note = document.createElement('div');
+                note.className = 'refund-reason';
+                note.textContent = order.message;
+                status.appendChild(note);
+            }
+            tr.appendChild(status);
+
+            const actions = document.createElement('td');
+            if (active) {
+                actions.appendChild(Utils.actionButton('Sign Now', 'btn-outline-primary', () => signNow(order.id)));
+                actions.appendChild(Utils.actionButton('Cancel', 'btn-outline-danger', () => {
+                    cancel(order.id);
+                    render();
+                }));
+            }
+            tr.appendChild(actions);
+            body.appendChild(tr);
+        });
+    }
+
+    /**
+     * Render the loaded account's orders and poll while any are open
+     */
+    function refresh() {
+        render();
+        if (getOrders().some(order => order.status === STATUS.OPEN)) {
+            startPolling();
+        }
+    }
+
+    /**
+     * Bind the order form and show stored orders
+     */
+    function initialize() {
+        const form = document.getElementById('limitOrderForm');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                try {
+                    place(
+                        document.getElementById('limitAmount').value,
+                        document.getElementById('limitDirection').value,
+                        document.getElementById('limitTargetRate').value,
+                        SwapManager.getCurrentSwap().slippage
+                    );
+                    form.reset();
+                    render();
+                    // Ask once so a met target can be announced while the tab is hidden
+                    if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+                        Notification.requestPermission();
+                    }
+                } catch (error) {
+                    UIManager.showError(Utils.handleError(error, 'LimitOrders.place').message);
+                }
+            });
+
+            ['limitAmount', 'limitDirection'].forEach(id => {
+                const input = document.getElementById(id);
+                if (input) input.addEventListener('input', updateRateHint);
+            });
+        }
+
+        const clearButton = document.getElementById('limitClearFinished');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                clearFinished();
+                render();
+            });
+        }
+
+        refresh();
+    }
+
+    // Public API
+    return {
+        initialize,
+        place,
+        cancel,
+        signNow,
+        check,
+        getOrders,
+        clearFinished,
+        refresh,
+        STATUS
+    };
+})();
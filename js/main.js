@@ -14,6 +14,24 @@
      */
     async function initializeApp() {
         try {
+            // Record API requests from the first call on
+            Diagnostics.initialize();
+
+            // Parse signer redirect callback (HiveSigner) before clearing the URL
+            const signerCallback = Signers.handleRedirectCallback(
+                new URLSearchParams(window.location.search)
+            );
+            if (signerCallback) {
+                localStorage.setItem('hiveUsername', signerCallback.username);
+            }
+
+            // Node list shared as a link (#nodes=...) is saved before the APIs start
+            try {
+                NodeManager.importFromHash(window.location.hash);
+            } catch (error) {
+                UIManager.showError(`Shared node list not imported: ${error.message}`);
+            }
+
             // Clear URL parameters
             window.history.replaceState({}, document.title, "/");
 
@@ -38,6 +56,12 @@
             UIManager.initialize();
             console.log("✅ UI Manager initialized");
 
+            // Record swap returned from a redirect signer and show its wallet
+            if (signerCallback) {
+                await SwapManager.recordSignerCallback(signerCallback);
+                await WalletManager.loadBalance(signerCallback.username);
+            }
+
             console.log("=".repeat(50));
             console.log("✅ Application initialized successfully!");
             console.log("=".repeat(50));
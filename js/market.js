@@ -28,33 +28,28 @@ const MarketManager = (function() {
         cacheDuration: 45000 // 45 seconds
     };
 
-    /**
-     * Query Hive Engine with Promise wrapper
-     */
-    function queryHiveEngine(contract, table, query, limit = 1) {
-        return new Promise((resolve, reject) => {
-            const ssc = APIManager.getSSC();
-            if (!ssc) {
-                reject(new Utils.APIError('Hive Engine API not initialized'));
-                return;
-            }
+    // Liquidity quorum: pools are only trusted when several nodes agree
+    const QUORUM_STORAGE_KEY = 'liquidityQuorum';
+    let quorumStatus = {
+        enabled: localStorage.getItem(QUORUM_STORAGE_KEY) === 'on',
+        agreed: true,
+        message: null,
+        checkedAt: null
+    };
 
-            ssc.find(contract, table, query, limit, 0, [], (err, result) => {
-                if (err) reject(new Utils.APIError(err.message || 'Query failed'));
-                else resolve(result || []);
-            });
-        });
-    }
+    // Daily HIVE USD prices keyed by CoinGecko date (dd-mm-yyyy)
+    const historicalPrices = {};
 
     /**
      * Fetch from CoinGecko with timeout
      */
     async function fetchCoinGecko(url) {
+        const { origin, pathname } = new URL(url);
         try {
-            const response = await Utils.withTimeout(
+            const response = await Diagnostics.track('coingecko', pathname, origin, () => Utils.withTimeout(
                 axios.get(url),
                 5000 // 5 second timeout
-            );
+            ));
             return response.data;
         } catch (error) {
             throw new Utils.APIError(`Failed to fetch from CoinGecko: ${error.message}`, url);
@@ -83,6 +78,39 @@ const MarketManager = (function() {
         return 0;
     }
 
+    /**
+     * Get HIVE USD price at a point in time (ms)
+     * Recent timestamps use the live price, older ones the CoinGecko daily price
+     */
+    async function getHivePriceAt(timestamp) {
+        if (prices.hive && Date.now() - timestamp < priceCache.cacheDuration) {
+            return prices.hive;
+        }
+
+        const day = new Date(timestamp);
+        const pad = (value) => String(value).padStart(2, '0');
+        const date = `${pad(day.getUTCDate())}-${pad(day.getUTCMonth() + 1)}-${day.getUTCFullYear()}`;
+        if (historicalPrices[date] !== undefined) {
+            return historicalPrices[date];
+        }
+
+        try {
+            const data = await Utils.retry(() =>
+                fetchCoinGecko(`${CONFIG.COINGECKO_HIVE_HISTORY_URL}?date=${date}&localization=false`),
+                2, 1000
+            );
+            const usd = data && data.market_data && data.market_data.current_price
+                ? data.market_data.current_price.usd
+                : 0;
+            historicalPrices[date] = usd ? Utils.roundTo(usd, 4) : 0;
+            return historicalPrices[date];
+        } catch (error) {
+            const handled = Utils.handleError(error, 'MarketManager.getHivePriceAt');
+            console.error(handled.message);
+        }
+        return 0;
+    }
+
     /**
      * Fetch HBD price from CoinGecko
      */
@@ -110,10 +138,7 @@ const MarketManager = (function() {
      */
     async function fetchTokenPrice(symbol) {
         try {
-            const metrics = await Utils.retry(() =>
-                queryHiveEngine('market', 'metrics', { symbol }),
-                2, 1000
-            );
+            const metrics = await APIManager.queryHiveEngine('market', 'metrics', { symbol }, 1);
 
             if (metrics && metrics.length > 0) {
                 const lastPrice = Utils.parseNumber(metrics[0].lastPrice, 0);
@@ -197,6 +222,10 @@ const MarketManager = (function() {
             return liquidity;
         }
         
+        if (quorumStatus.enabled) {
+            return fetchQuorumLiquidity(now);
+        }
+        
         try {
             console.log("🔄 Fetching fresh liquidity data...");
             
@@ -205,13 +234,10 @@ const MarketManager = (function() {
                 APIManager.tryWithFailover(() => 
                     hive.api.getAccountsAsync([CONFIG.BRIDGE_USER])
                 ),
-                Utils.retry(() =>
-                    queryHiveEngine('tokens', 'balances', { 
-                        account: CONFIG.BRIDGE_USER, 
-                        symbol: 'SWAP.HIVE' 
-                    }),
-                    2, 1000
-                )
+                APIManager.queryHiveEngine('tokens', 'balances', { 
+                    account: CONFIG.BRIDGE_USER, 
+                    symbol: 'SWAP.HIVE' 
+                }, 1)
             ]);
 
             // Update HIVE liquidity
@@ -238,6 +264,82 @@ const MarketManager = (function() {
         return liquidity;
     }
 
+    /**
+     * Set both pools (display and fee calculation)
+     */
+    function setPools(hivePool, swapHivePool) {
+        liquidity.hive = hivePool;
+        liquidity.swapHive = swapHivePool;
+        CONFIG.HIVEPOOL = hivePool;
+        CONFIG.SHIVEPOOL = swapHivePool;
+        UIManager.updateLiquidity("hiveliquidity", hivePool);
+        UIManager.updateLiquidity("swaphiveliquidity", swapHivePool);
+    }
+
+    /**
+     * Fetch liquidity from a quorum of nodes
+     * Pools are only updated when the nodes agree, otherwise swaps stay blocked
+     * and the previous pool values are kept for display
+     */
+    async function fetchQuorumLiquidity(now) {
+        try {
+            console.log("🔄 Fetching liquidity from a node quorum...");
+            const result = await Quorum.readBridgeLiquidity();
+
+            quorumStatus.agreed = result.agreed;
+            quorumStatus.message = result.message;
+            quorumStatus.checkedAt = now;
+
+            if (result.agreed) {
+                setPools(result.hive.value, result.swapHive.value);
+                liquidityCache.lastFetch = now;
+                console.log("✅ Liquidity confirmed by quorum:", liquidity);
+            } else {
+                console.warn(result.message);
+            }
+        } catch (error) {
+            quorumStatus.agreed = false;
+            quorumStatus.message = `Bridge liquidity could not be checked, swaps are paused. ${error.message}`;
+            Utils.handleError(error, 'MarketManager.fetchQuorumLiquidity');
+        }
+
+        UIManager.updateQuorumStatus(getQuorumStatus());
+        return liquidity;
+    }
+
+    /**
+     * Get the liquidity quorum state
+     */
+    function getQuorumStatus() {
+        return Object.assign({}, quorumStatus);
+    }
+
+    /**
+     * Check pools can be used for swaps: always without quorum mode,
+     * only after the nodes agreed with it
+     */
+    function isLiquidityTrusted() {
+        return !quorumStatus.enabled || quorumStatus.agreed;
+    }
+
+    /**
+     * Turn quorum mode on or off and re-read the pools
+     */
+    async function setQuorumEnabled(enabled) {
+        quorumStatus.enabled = enabled;
+        quorumStatus.agreed = !enabled;
+        quorumStatus.message = null;
+        if (enabled) {
+            localStorage.setItem(QUORUM_STORAGE_KEY, 'on');
+        } else {
+            localStorage.removeItem(QUORUM_STORAGE_KEY);
+        }
+
+        UIManager.updateQuorumStatus(getQuorumStatus());
+        await fetchLiquidity(true);
+        SwapManager.validateButton();
+    }
+
     /**
      * Get current prices
      */
@@ -252,10 +354,33 @@ const MarketManager = (function() {
         return Utils.deepClone(liquidity);
     }
 
+    /**
+     * Get when the pools were last fetched and how long they are cached
+     */
+    function getLiquidityAge() {
+        return {
+            lastFetch: liquidityCache.lastFetch,
+            cacheDuration: liquidityCache.cacheDuration
+        };
+    }
+
+    /**
+     * Refresh node-backed data in place after an API node switch
+     * Pool balances come from both chains, token prices from Hive Engine
+     */
+    async function handleNodeChange(event) {
+        await fetchLiquidity(true);
+        if (event.detail.type === 'engine') {
+            await Promise.all([fetchVaultPrice(), fetchUpmePrice()]);
+        }
+        SwapManager.validateButton();
+    }
+
     /**
      * Initialize market module
      */
     async function initialize() {
+        document.addEventListener(APIManager.NODE_CHANGE_EVENT, handleNodeChange);
         await fetchAllPrices();
         await fetchLiquidity();
         console.log("Market Manager initialized");
@@ -268,6 +393,11 @@ const MarketManager = (function() {
         fetchLiquidity,
         getPrices,
         getLiquidity,
+        getLiquidityAge,
+        getQuorumStatus,
+        isLiquidityTrusted,
+        setQuorumEnabled,
+        getHivePriceAt,
         fetchHivePrice,
         fetchHBDPrice,
         fetchVaultPrice,
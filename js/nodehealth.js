@@ -0,0 +1,161 @@
+/**
+ * Node Health Module
+ * Probes Hive and Hive Engine nodes with real RPC calls and scores them
+ * by round-trip latency and head block lag against the other nodes
+ */
+
+const NodeHealth = (function() {
+    const CHECK_TIMEOUT = 5000; // 5 seconds
+
+    // Score penalties, a node loses up to 50 points for each
+    const LATENCY_PENALTY_PER_MS = 0.05;  // 1000 ms costs 50 points
+    const LAG_PENALTY_PER_BLOCK = 10;     // 5 blocks behind costs 50 points
+    const MAX_PENALTY = 50;
+    const LAGGING_BLOCKS = 3;             // Lag reported as "Lagging" from here
+
+    // Latest results per type, keyed by node URL
+    const results = {
+        hive: {},
+        engine: {}
+    };
+
+    /**
+     * Get head block of a Hive node via condenser_api.get_dynamic_global_properties
+     */
+    async function fetchHiveHead(url, timeout) {
+        const response = await axios.post(url, {
+            jsonrpc: '2.0',
+            method: 'condenser_api.get_dynamic_global_properties',
+            params: [],
+            id: 1
+        }, { timeout: timeout });
+
+        const result = response.data && response.data.result;
+        if (!result || result.head_block_number === undefined) {
+            throw new Utils.APIError('Not a Hive JSON-RPC node', url);
+        }
+        return result.head_block_number;
+    }
+
+    /**
+     * Get head block of a Hive Engine node via blockchain getLatestBlockInfo
+     */
+    async function fetchEngineHead(url, timeout) {
+        const response = await axios.post(`${url.replace(/\/+$/, '')}/blockchain`, {
+            jsonrpc: '2.0',
+            method: 'getLatestBlockInfo',
+            params: {},
+            id: 1
+        }, { timeout: timeout });
+
+        const result = response.data && response.data.result;
+        if (!result || result.blockNumber === undefined) {
+            throw new Utils.APIError('Not a Hive Engine JSON-RPC node', url);
+        }
+        return result.blockNumber;
+    }
+
+    /**
+     * Probe a single node
+     * Resolves with { url, ok, latency, headBlock, error }, never rejects
+     */
+    async function probe(type, url, timeout = CHECK_TIMEOUT) {
+        const started = performance.now();
+        try {
+            const headBlock = type === 'hive'
+                ? await fetchHiveHead(url, timeout)
+                : await fetchEngineHead(url, timeout);
+            return {
+                url: url,
+                ok: true,
+                latency: Math.round(performance.now() - started),
+                headBlock: headBlock,
+                error: null
+            };
+        } catch (error) {
+            return {
+                url: url,
+                ok: false,
+                latency: null,
+                headBlock: null,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Score a probe result from 0 (down) to 100 (fast and in sync)
+     */
+    function score(result) {
+        if (!result.ok) return 0;
+        const latencyPenalty = Math.min(result.latency * LATENCY_PENALTY_PER_MS, MAX_PENALTY);
+        const lagPenalty = Math.min(result.lag * LAG_PENALTY_PER_BLOCK, MAX_PENALTY);
+        // Working nodes always rank above unreachable ones
+        return Math.max(Math.round(100 - latencyPenalty - lagPenalty), 1);
+    }
+
+    /**
+     * Check if a result is too far behind the other nodes
+     */
+    function isLagging(result) {
+        return result.lag >= LAGGING_BLOCKS;
+    }
+
+    /**
+     * Probe all nodes of a type in parallel
+     * Lag is measured against the median head block of the nodes that answered
+     * options.timeout caps each probe, slower nodes count as down
+     * Resolves with results sorted by score, best first
+     */
+    async function checkAll(type, urls, options = {}) {
+        const probed = await Promise.all(urls.map(url => probe(type, url, options.timeout)));
+        const medianHead = Math.round(Utils.median(probed.filter(r => r.ok).map(r => r.headBlock)));
+        const checkedAt = Date.now();
+
+        probed.forEach(result => {
+            result.lag = result.ok ? Math.max(medianHead - result.headBlock, 0) : null;
+            result.score = score(result);
+            result.checkedAt = checkedAt;
+            results[type][result.url] = result;
+        });
+
+        return probed.sort((a, b) => b.score - a.score || (a.latency || 0) - (b.latency || 0));
+    }
+
+    /**
+     * Get the latest result for a node, or null if never checked
+     */
+    function getResult(type, url) {
+        return results[type][url] || null;
+    }
+
+    /**
+     * Format a result for the node tables
+     */
+    function describe(result) {
+        if (!result) {
+            return { status: 'Checking...', latency: '-', lag: '-', score: '-', color: 'var(--text-secondary)' };
+        }
+        if (!result.ok) {
+            return { status: 'Fail', latency: '-', lag: '-', score: '0', color: 'var(--danger-color)' };
+        }
+
+        const lagging = isLagging(result);
+        return {
+            status: lagging ? 'Lagging' : 'Working',
+            latency: `${result.latency} ms`,
+            lag: String(result.lag),
+            score: String(result.score),
+            color: lagging ? 'var(--warning-color)' : 'var(--success-color)'
+        };
+    }
+
+    // Public API
+    return {
+        probe,
+        checkAll,
+        isLagging,
+        getResult,
+        describe
+    };
+})();
@@ -0,0 +1,949 @@
+/**
+ * Node Manager Module
+ * Single node-selection component for Hive and Hive Engine: lists default and
+ * custom nodes, runs health checks, validates/adds/removes custom nodes, keeps
+ * node priorities and disabled nodes, shares the node configuration and
+ * selects nodes through APIManager (which owns the live API clients)
+ */
+
+const NodeManager = (function() {
+    const HEALTH_REFRESH_INTERVAL = 60000; // Re-check health while the panel is open
+    const ERROR_HIDE_DELAY = 5000;
+    const CONFIG_VERSION = 1;
+    const SHARE_PREFIX = '#nodes=';
+
+    // Chain specific settings, everything else is shared
+    const TYPES = {
+        hive: {
+            label: 'HIVE',
+            defaults: () => CONFIG.HIVE_RPC_NODES,
+            defaultNode: () => CONFIG.DEFAULT_HIVE_ENDPOINT,
+            customKey: 'customHiveNodes',
+            hiddenKey: 'hiddenHiveNodes',
+            orderKey: 'hiveNodeOrder',
+            selectedKey: 'selectedEndpoint',
+            validate: validateHiveNode
+        },
+        engine: {
+            label: 'ENGINE',
+            defaults: () => CONFIG.ENGINE_RPC_NODES,
+            defaultNode: () => CONFIG.DEFAULT_ENGINE_ENDPOINT,
+            customKey: 'customEngineNodes',
+            hiddenKey: 'hiddenEngineNodes',
+            orderKey: 'engineNodeOrder',
+            selectedKey: 'selectedEngEndpoint',
+            validate: validateEngineNode
+        }
+    };
+
+    // Open panel state per type: { rows: { url: tr }, timer }
+    const panels = {};
+
+    // ==================== NODE LISTS ====================
+
+    /**
+     * Get chain settings, throwing on an unknown type
+     */
+    function getType(type) {
+        const settings = TYPES[type];
+        if (!settings) {
+            throw new Utils.ValidationError(`Unknown node type: ${type}`);
+        }
+        return settings;
+    }
+
+    /**
+     * Read a stored URL list
+     */
+    function readList(key) {
+        try {
+            const list = JSON.parse(localStorage.getItem(key) || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Save a URL list, an empty list removes the key
+     */
+    function saveList(key, list) {
+        if (list.length === 0) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, JSON.stringify(list));
+        }
+    }
+
+    /**
+     * Get custom nodes saved by the user
+     */
+    function getCustomNodes(type) {
+        return readList(getType(type).customKey);
+    }
+
+    /**
+     * Get nodes the user disabled
+     */
+    function getDisabledNodes(type) {
+        return readList(getType(type).hiddenKey);
+    }
+
+    /**
+     * Get all nodes of a type in priority order, disabled ones included
+     * Nodes missing from the saved order (e.g. new defaults) follow it in list order
+     */
+    function getAllNodes(type) {
+        const settings = getType(type);
+        const known = [...new Set([...settings.defaults(), ...getCustomNodes(type)])];
+        const ordered = readList(settings.orderKey).filter(url => known.includes(url));
+        return [...new Set([...ordered, ...known])];
+    }
+
+    /**
+     * Get the enabled nodes of a type in priority order
+     * This is the list failover and auto selection work through
+     */
+    function getNodes(type) {
+        const disabled = getDisabledNodes(type);
+        return getAllNodes(type).filter(url => !disabled.includes(url));
+    }
+
+    /**
+     * Get the node to start with when no usable node is saved:
+     * the top priority node once priorities are set, else the configured default
+     */
+    function getPreferredNode(type) {
+        const settings = getType(type);
+        const nodes = getNodes(type);
+        if (readList(settings.orderKey).length === 0 && nodes.includes(settings.defaultNode())) {
+            return settings.defaultNode();
+        }
+        return nodes[0];
+    }
+
+    /**
+     * Check if a node URL is from the default list
+     */
+    function isDefault(type, url) {
+        return getType(type).defaults().includes(url);
+    }
+
+    /**
+     * Check if a node is enabled
+     */
+    function isEnabled(type, url) {
+        return !getDisabledNodes(type).includes(url);
+    }
+
+    // ==================== VALIDATION ====================
+
+    /**
+     * Validate if URL is a Hive node by checking block info
+     */
+    async function validateHiveNode(url) {
+        try {
+            const response = await axios.post(url, {
+                jsonrpc: '2.0',
+                method: 'condenser_api.get_dynamic_global_properties',
+                params: [],
+                id: 1
+            }, { timeout: 5000 });
+
+            // Hive nodes return result with head_block_number, current_witness, etc.
+            return response.data && response.data.result &&
+                   response.data.result.head_block_number !== undefined;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Validate if URL is a Hive Engine node by checking contracts
+     */
+    async function validateEngineNode(url) {
+        try {
+            // First try to get blockchain info (lightweight check)
+            const infoResponse = await axios.get(url, { timeout: 5000 });
+
+            // Check if response has Hive Engine blockchain properties
+            if (infoResponse.data &&
+                (infoResponse.data.chainId === 'mainnet-hive' ||
+                 infoResponse.data.lastBlockNumber !== undefined ||
+                 infoResponse.data.SSCnodeVersion !== undefined)) {
+                return true;
+            }
+
+            // Fallback: Try contracts endpoint
+            const response = await axios.post(url + '/contracts', {
+                jsonrpc: '2.0',
+                method: 'find',
+                params: {
+                    contract: 'tokens',
+                    table: 'tokens',
+                    query: {},
+                    limit: 1
+                },
+                id: 1
+            }, { timeout: 5000 });
+
+            // Hive Engine nodes return array result
+            return response.data && Array.isArray(response.data);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Check that a URL serves the chain's API
+     */
+    function validateNode(type, url) {
+        return getType(type).validate(url);
+    }
+
+    /**
+     * Check a node URL has an http(s) scheme
+     */
+    function isNodeUrl(url) {
+        return typeof url === 'string' && /^https?:\/\/\S+$/.test(url);
+    }
+
+    // ==================== CUSTOM NODES ====================
+
+    /**
+     * Add a custom node after validating it
+     * Resolves with { success, error }
+     */
+    async function addNode(type, url) {
+        url = (url || '').trim();
+        if (!url) {
+            return { success: false, error: 'Please enter a valid URL' };
+        }
+        if (!url.startsWith('http://') && !url.startsWith('https://')) {
+            return { success: false, error: 'URL must start with http:// or https://' };
+        }
+        if (getAllNodes(type).includes(url)) {
+            return { success: false, error: 'Node already exists' };
+        }
+
+        // Validate by checking actual API response
+        if (!await validateNode(type, url)) {
+            const chain = type === 'hive' ? 'Hive' : 'Hive Engine';
+            return { success: false, error: `This is not a valid ${chain} API node` };
+        }
+
+        saveList(getType(type).customKey, [...getCustomNodes(type), url]);
+        console.log(`Added custom ${type} node: ${url}`);
+        return { success: true };
+    }
+
+    /**
+     * Remove a custom node (default nodes cannot be removed, only disabled)
+     * Resolves with { success, error }
+     */
+    async function removeNode(type, url) {
+        const customNodes = getCustomNodes(type);
+        if (!customNodes.includes(url)) {
+            return { success: false, error: 'Only custom nodes can be removed' };
+        }
+        if (isEnabled(type, url) && getNodes(type).length === 1) {
+            return { success: false, error: 'At least one node must stay enabled' };
+        }
+
+        const settings = getType(type);
+        saveList(settings.customKey, customNodes.filter(node => node !== url));
+        saveList(settings.hiddenKey, getDisabledNodes(type).filter(node => node !== url));
+        saveList(settings.orderKey, readList(settings.orderKey).filter(node => node !== url));
+        console.log(`Removed custom ${type} node: ${url}`);
+
+        await leaveUnavailableNode(type);
+        return { success: true };
+    }
+
+    // ==================== PRIORITY AND DISABLED NODES ====================
+
+    /**
+     * Enable or disable a node, disabled nodes are skipped by failover and auto mode
+     * Resolves with { success, error }
+     */
+    async function setEnabled(type, url, enabled) {
+        if (!getAllNodes(type).includes(url)) {
+            return { success: false, error: 'Unknown node' };
+        }
+
+        const disabled = getDisabledNodes(type).filter(node => node !== url);
+        if (!enabled) {
+            if (isEnabled(type, url) && getNodes(type).length === 1) {
+                return { success: false, error: 'At least one node must stay enabled' };
+            }
+            disabled.push(url);
+        }
+        saveList(getType(type).hiddenKey, disabled);
+
+        await leaveUnavailableNode(type);
+        return { success: true };
+    }
+
+    /**
+     * Move a node up (negative offset) or down in the priority order
+     */
+    function moveNode(type, url, offset) {
+        const order = getAllNodes(type);
+        const from = order.indexOf(url);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= order.length) return false;
+
+        order.splice(from, 1);
+        order.splice(to, 0, url);
+        saveList(getType(type).orderKey, order);
+        return true;
+    }
+
+    /**
+     * Enable all nodes and restore the default priority order (custom nodes are kept)
+     */
+    async function resetNodes(type) {
+        const settings = getType(type);
+        saveList(settings.hiddenKey, []);
+        saveList(settings.orderKey, []);
+        await leaveUnavailableNode(type);
+    }
+
+    // ==================== SELECTION ====================
+
+    /**
+     * Select a node by hand, pinning it (auto mode off)
+     * Wallet and market data refresh on APIManager's node change event
+     */
+    function select(type, url) {
+        APIManager.switchNode(type, url);
+        close(type);
+        UIManager.showSuccess(`${getType(type).label} node changed to: ${url}`);
+    }
+
+    /**
+     * Turn auto mode on (switching to the best node) or off (pinning the node in use)
+     */
+    async function setAuto(type, enabled) {
+        const label = getType(type).label;
+        if (enabled) {
+            APIManager.setNodeMode(type, 'auto');
+            UIManager.showLoading(`Finding the best ${label} node...`);
+            const url = await APIManager.autoSelect(type, { force: true });
+            UIManager.hideLoading();
+            UIManager.showSuccess(`${label} node set to auto: ${url}`);
+        } else {
+            APIManager.setNodeMode(type, 'pinned');
+            UIManager.showSuccess(`${label} node pinned to ${APIManager.getCurrentNode(type)}`);
+        }
+    }
+
+    /**
+     * Move off the node in use once it was disabled or removed
+     * Auto mode picks the best remaining node, a pinned selection moves to the top priority node
+     */
+    async function leaveUnavailableNode(type) {
+        const current = APIManager.getCurrentNode(type);
+        if (!current || getNodes(type).includes(current)) return;
+
+        if (APIManager.getNodeMode(type) === 'auto') {
+            const url = await APIManager.autoSelect(type, { force: true });
+            if (getNodes(type).includes(url)) return;
+        }
+        APIManager.switchNode(type, getPreferredNode(type));
+    }
+
+    // ==================== SHARING ====================
+
+    /**
+     * Build the full node configuration of both chains:
+     * nodes in priority order with their enabled flag, node mode and selected node
+     */
+    function exportConfig() {
+        const config = { version: CONFIG_VERSION };
+        Object.keys(TYPES).forEach(type => {
+            config[type] = {
+                mode: APIManager.getNodeMode(type),
+                selected: APIManager.getCurrentNode(type) || localStorage.getItem(TYPES[type].selectedKey),
+                nodes: getAllNodes(type).map(url => ({ url: url, enabled: isEnabled(type, url) }))
+            };
+        });
+        return config;
+    }
+
+    /**
+     * Validate one chain of an imported configuration
+     */
+    function validateChainConfig(type, chain) {
+        const label = getType(type).label;
+        if (!chain || typeof chain !== 'object' || !Array.isArray(chain.nodes)) {
+            throw new Utils.ValidationError(`${label} node list is missing`);
+        }
+        if (!['auto', 'pinned'].includes(chain.mode)) {
+            throw new Utils.ValidationError(`${label} node mode must be auto or pinned`);
+        }
+        chain.nodes.forEach((node, index) => {
+            if (!node || !isNodeUrl(node.url) || typeof node.enabled !== 'boolean') {
+                throw new Utils.ValidationError(`${label} node ${index + 1} needs an http(s) url and an enabled flag`);
+            }
+        });
+        if (!chain.nodes.some(node => node.enabled)) {
+            throw new Utils.ValidationError(`${label} node list has no enabled node`);
+        }
+        if (chain.selected != null && !isNodeUrl(chain.selected)) {
+            throw new Utils.ValidationError(`${label} selected node is not a node URL`);
+        }
+    }
+
+    /**
+     * Validate a configuration and save it, replacing custom nodes, priorities,
+     * disabled nodes, mode and selection of each chain it contains
+     * Defaults not listed (added after the export) keep their place after the listed nodes
+     * Live API clients are not touched, see applyImportedConfig
+     */
+    function saveConfig(config) {
+        if (!config || typeof config !== 'object') {
+            throw new Utils.ValidationError('Node configuration is not an object');
+        }
+        if (config.version && config.version > CONFIG_VERSION) {
+            throw new Utils.ValidationError(`Unsupported node configuration version ${config.version}`);
+        }
+
+        const types = Object.keys(TYPES).filter(type => config[type]);
+        if (types.length === 0) {
+            throw new Utils.ValidationError('Node configuration has no Hive or Hive Engine nodes');
+        }
+        types.forEach(type => validateChainConfig(type, config[type]));
+
+        types.forEach(type => {
+            const settings = TYPES[type];
+            const chain = config[type];
+            const urls = [...new Set(chain.nodes.map(node => node.url))];
+            const enabled = chain.nodes.filter(node => node.enabled).map(node => node.url);
+
+            saveList(settings.customKey, urls.filter(url => !isDefault(type, url)));
+            saveList(settings.orderKey, urls);
+            saveList(settings.hiddenKey, urls.filter(url => !enabled.includes(url)));
+            APIManager.setNodeMode(type, chain.mode);
+            if (chain.selected && enabled.includes(chain.selected)) {
+                localStorage.setItem(settings.selectedKey, chain.selected);
+            }
+        });
+
+        return types;
+    }
+
+    /**
+     * Switch the live API clients to an imported configuration
+     */
+    async function applyImportedConfig(types) {
+        for (const type of types) {
+            if (APIManager.getNodeMode(type) === 'auto') {
+                await APIManager.autoSelect(type, { force: true });
+            } else {
+                const saved = localStorage.getItem(TYPES[type].selectedKey);
+                APIManager.switchNode(type, getNodes(type).includes(saved) ? saved : getPreferredNode(type));
+            }
+            await leaveUnavailableNode(type);
+        }
+    }
+
+    /**
+     * Encode a configuration for a URL fragment (base64url JSON)
+     */
+    function encodeConfig(config) {
+        const json = JSON.stringify(config);
+        return btoa(unescape(encodeURIComponent(json)))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode a URL fragment configuration
+     */
+    function decodeConfig(encoded) {
+        try {
+            const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(decodeURIComponent(escape(atob(base64))));
+        } catch (error) {
+            throw new Utils.ValidationError('Shared node link is damaged');
+        }
+    }
+
+    /**
+     * Build a link that imports the current node configuration when opened
+     */
+    function getShareLink() {
+        return `${window.location.origin}${window.location.pathname}${SHARE_PREFIX}${encodeConfig(exportConfig())}`;
+    }
+
+    /**
+     * List the nodes of a configuration for review before it is applied
+     * Nodes outside the built-in defaults are flagged
+     */
+    function describeConfig(config) {
+        if (!config || typeof config !== 'object') {
+            throw new Utils.ValidationError('Node configuration is not an object');
+        }
+
+        const sections = Object.keys(TYPES).filter(type => config[type]).map(type => {
+            const chain = config[type];
+            validateChainConfig(type, chain);
+
+            const lines = chain.nodes.map(node =>
+                `  ${node.enabled ? '✓' : '✗'} ${node.url}${isDefault(type, node.url) ? '' : ' (not a default node)'}`
+            );
+            const mode = chain.mode === 'auto' ? 'automatic selection' : `pinned to ${chain.selected || 'the first enabled node'}`;
+            return `${TYPES[type].label} nodes (${mode}):\n${lines.join('\n')}`;
+        });
+
+        if (sections.length === 0) {
+            throw new Utils.ValidationError('Node configuration has no Hive or Hive Engine nodes');
+        }
+        return sections.join('\n\n');
+    }
+
+    /**
+     * Save a node configuration shared through the URL fragment, after the user agrees
+     * Runs before APIManager.initialize so the APIs start on the imported nodes
+     * Returns true if a configuration was imported
+     */
+    function importFromHash(hash) {
+        if (!hash || !hash.startsWith(SHARE_PREFIX)) return false;
+
+        const config = decodeConfig(hash.slice(SHARE_PREFIX.length));
+        if (!confirm(`Replace your node settings with this shared list?\n\n${describeConfig(config)}\n\n` +
+                'These nodes will answer every balance, pool and bridge reply lookup. Only accept links from people you trust.')) {
+            return false;
+        }
+
+        saveConfig(config);
+        console.log('Imported shared node configuration');
+        return true;
+    }
+
+    /**
+     * Download the node configuration as JSON
+     */
+    function exportFile() {
+        const config = Object.assign(exportConfig(), { exportedAt: new Date().toISOString() });
+        Utils.downloadFile(
+            `uswap-nodes-${new Date().toISOString().slice(0, 10)}.json`,
+            JSON.stringify(config, null, 2),
+            'application/json'
+        );
+    }
+
+    /**
+     * Import a node configuration JSON file and switch to it
+     */
+    async function importFile(file) {
+        let config;
+        try {
+            config = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Utils.ValidationError('Node configuration file is not valid JSON');
+        }
+
+        const types = saveConfig(config);
+        await applyImportedConfig(types);
+        return types;
+    }
+
+    // ==================== PANEL ====================
+
+    /**
+     * Show error in the node panel
+     */
+    function showError(type, message) {
+        const errorDiv = document.getElementById(`popup-error-${type}`);
+        if (errorDiv) {
+            errorDiv.textContent = message;
+            errorDiv.style.display = 'block';
+
+            // Auto-hide after 5 seconds
+            setTimeout(() => {
+                hideError(type);
+            }, ERROR_HIDE_DELAY);
+        }
+    }
+
+    /**
+     * Hide error in the node panel
+     */
+    function hideError(type) {
+        const errorDiv = document.getElementById(`popup-error-${type}`);
+        if (errorDiv) {
+            errorDiv.style.display = 'none';
+            errorDiv.textContent = '';
+        }
+    }
+
+    /**
+     * Show the outcome of a node list change, re-rendering on success
+     */
+    function showResult(type, result, message) {
+        if (result.success) {
+            render(type);
+            UIManager.showSuccess(message);
+        } else {
+            showError(type, result.error);
+        }
+    }
+
+    /**
+     * Create add node input row
+     */
+    function createAddNodeRow(type) {
+        const addRow = document.createElement('tr');
+        addRow.style.cssText = 'background: rgba(255, 255, 255, 0.05); border-top: 2px solid var(--glass-border);';
+        addRow.className = 'add-node-row';
+
+        const inputCell = document.createElement('td');
+        inputCell.colSpan = 5;
+        inputCell.style.padding = '12px';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = `Add custom ${getType(type).label} node URL (e.g., https://api.example.com)`;
+        input.className = 'form-control';
+        input.id = `add-node-input-${type}`;
+        input.style.cssText = 'width: 100%; background: var(--input-bg); border: 1px solid var(--input-border); color: var(--text-primary); padding: 8px 12px; border-radius: 8px; font-size: 13px;';
+
+        inputCell.appendChild(input);
+
+        const buttonCell = document.createElement('td');
+        buttonCell.style.padding = '12px';
+        const addBtn = document.createElement('button');
+        addBtn.textContent = 'Add';
+        addBtn.className = 'btn-add-node';
+        addBtn.style.cssText = 'background: var(--primary-gradient); color: white; border: none; padding: 8px 16px; border-radius: 8px; cursor: pointer; font-weight: 600; width: 100%; font-size: 13px;';
+        addBtn.title = 'Add custom node';
+
+        addBtn.onclick = async () => {
+            // Hide any previous errors
+            hideError(type);
+
+            // Disable button and show loading
+            addBtn.disabled = true;
+            addBtn.textContent = 'Validating...';
+            addBtn.style.opacity = '0.6';
+
+            const result = await addNode(type, input.value);
+
+            // Re-enable button
+            addBtn.disabled = false;
+            addBtn.textContent = 'Add';
+            addBtn.style.opacity = '1';
+
+            if (result.success) {
+                input.value = '';
+            }
+            showResult(type, result, 'Custom node added successfully');
+        };
+
+        // Allow Enter key to add
+        input.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                addBtn.click();
+            }
+        });
+
+        buttonCell.appendChild(addBtn);
+
+        addRow.appendChild(inputCell);
+        addRow.appendChild(buttonCell);
+
+        return addRow;
+    }
+
+    /**
+     * Create a node row with placeholder health cells
+     * showPriority adds the move up/down buttons (rows are in priority order)
+     */
+    function createNodeRow(type, url, showPriority) {
+        const tr = document.createElement('tr');
+        const urlCell = document.createElement('td');
+        const actionCell = document.createElement('td');
+        const enabled = isEnabled(type, url);
+
+        urlCell.textContent = url;
+        if (url === APIManager.getCurrentNode(type)) {
+            urlCell.style.fontWeight = '600';
+            urlCell.title = 'Node in use';
+        }
+        tr.appendChild(urlCell);
+
+        // Status, latency, lag and score
+        const health = NodeHealth.describe(null);
+        [enabled ? health.status : 'Disabled', health.latency, health.lag, health.score].forEach((text, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            cell.style.textAlign = 'center';
+            cell.style.color = 'var(--text-secondary)';
+            if (index === 0) {
+                cell.style.width = '100px';
+            }
+            tr.appendChild(cell);
+        });
+
+        // Disabled nodes cannot be picked until enabled again
+        if (enabled) {
+            [urlCell, tr.cells[1]].forEach(cell => {
+                cell.style.cursor = 'pointer';
+                cell.onclick = () => select(type, url);
+            });
+        } else {
+            tr.classList.add('node-disabled');
+        }
+
+        actionCell.className = 'node-actions';
+
+        if (showPriority) {
+            actionCell.appendChild(Utils.actionButton('▲', 'btn-node-action', () => {
+                if (moveNode(type, url, -1)) render(type);
+            }, 'Higher priority'));
+            actionCell.appendChild(Utils.actionButton('▼', 'btn-node-action', () => {
+                if (moveNode(type, url, 1)) render(type);
+            }, 'Lower priority'));
+        }
+
+        actionCell.appendChild(Utils.actionButton(enabled ? '⏸' : '▶', 'btn-node-action', async () => {
+            const result = await setEnabled(type, url, !enabled);
+            showResult(type, result, `Node ${enabled ? 'disabled' : 'enabled'}: ${url}`);
+        }, enabled ? 'Disable node' : 'Enable node'));
+
+        // Add remove button for custom nodes or label for default nodes
+        if (!isDefault(type, url)) {
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = '✕';
+            removeBtn.className = 'btn-remove-node';
+            removeBtn.style.cssText = 'background: var(--danger-color); color: white; border: none; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 16px; font-weight: bold;';
+            removeBtn.title = 'Remove custom node';
+            removeBtn.onclick = async (e) => {
+                e.stopPropagation();
+                if (confirm(`Remove custom node:\n${url}?`)) {
+                    showResult(type, await removeNode(type, url), 'Custom node removed');
+                }
+            };
+            actionCell.appendChild(removeBtn);
+        } else {
+            // Show default badge for default nodes
+            const badge = document.createElement('span');
+            badge.textContent = 'Default';
+            badge.style.cssText = 'font-size: 11px; color: var(--text-secondary); font-weight: 500; text-transform: uppercase; letter-spacing: 0.5px;';
+            actionCell.appendChild(badge);
+        }
+        tr.appendChild(actionCell);
+
+        return tr;
+    }
+
+    /**
+     * Probe the enabled nodes and fill in health cells
+     * In auto mode rows are sorted by score (the order auto selection uses),
+     * a pinned panel keeps the priority order failover uses
+     */
+    async function refreshHealth(type) {
+        const panel = panels[type];
+        if (!panel) return;
+
+        const tbody = document.querySelector(`#api-list-${type} tbody`);
+        const rows = panel.rows;
+        const sortByScore = APIManager.getNodeMode(type) === 'auto';
+        const results = await NodeHealth.checkAll(type, getNodes(type).filter(url => rows[url]));
+
+        results.forEach(result => {
+            const tr = rows[result.url];
+            // Skip rows of an older render
+            if (!tr || tr.parentNode !== tbody) return;
+
+            const health = NodeHealth.describe(result);
+            tr.cells[1].textContent = health.status;
+            tr.cells[1].style.color = health.color;
+            tr.cells[1].title = result.error || '';
+            tr.cells[2].textContent = health.latency;
+            tr.cells[3].textContent = health.lag;
+            tr.cells[4].textContent = health.score;
+
+            // Append in score order (keeps add row at top)
+            if (sortByScore) {
+                tbody.appendChild(tr);
+            }
+        });
+
+        // Disabled nodes go last
+        if (sortByScore) {
+            Object.values(rows)
+                .filter(tr => tr.parentNode === tbody && tr.classList.contains('node-disabled'))
+                .forEach(tr => tbody.appendChild(tr));
+        }
+    }
+
+    /**
+     * Render the node table of a type and start its health check
+     */
+    function render(type) {
+        const tbody = document.querySelector(`#api-list-${type} tbody`);
+        if (!tbody || !panels[type]) return;
+
+        const auto = APIManager.getNodeMode(type) === 'auto';
+        tbody.innerHTML = '';
+        tbody.appendChild(createAddNodeRow(type));
+
+        const rows = {};
+        getAllNodes(type).forEach(url => {
+            rows[url] = createNodeRow(type, url, !auto);
+            tbody.appendChild(rows[url]);
+        });
+        panels[type].rows = rows;
+
+        const autoToggle = document.getElementById(`node-auto-${type}`);
+        if (autoToggle) {
+            autoToggle.checked = auto;
+        }
+
+        refreshHealth(type);
+    }
+
+    /**
+     * Open the node panel of a type
+     */
+    function open(type) {
+        const container = document.getElementById(`popup-container-${type}`);
+        if (!container) return;
+
+        close(type);
+        container.style.display = 'flex';
+        hideError(type);
+
+        panels[type] = { rows: {}, timer: setInterval(() => refreshHealth(type), HEALTH_REFRESH_INTERVAL) };
+        render(type);
+    }
+
+    /**
+     * Close the node panel of a type
+     */
+    function close(type) {
+        const container = document.getElementById(`popup-container-${type}`);
+        if (container) {
+            container.style.display = 'none';
+        }
+
+        if (panels[type]) {
+            clearInterval(panels[type].timer);
+            delete panels[type];
+        }
+    }
+
+    /**
+     * Bind the node configuration buttons of a panel
+     */
+    function setupConfigButtons(type) {
+        const exportButton = document.getElementById(`node-export-${type}`);
+        const importButton = document.getElementById(`node-import-${type}`);
+        const importFileInput = document.getElementById(`node-import-file-${type}`);
+        const shareButton = document.getElementById(`node-share-${type}`);
+        const resetButton = document.getElementById(`node-reset-${type}`);
+
+        if (exportButton) {
+            exportButton.addEventListener('click', () => {
+                exportFile();
+                UIManager.showSuccess('Node configuration exported');
+            });
+        }
+
+        if (importButton && importFileInput) {
+            importButton.addEventListener('click', () => importFileInput.click());
+            importFileInput.addEventListener('change', async () => {
+                const file = importFileInput.files[0];
+                importFileInput.value = '';
+                if (!file) return;
+
+                try {
+                    UIManager.showLoading('Importing node configuration...');
+                    await importFile(file);
+                    render(type);
+                    UIManager.showSuccess('Node configuration imported');
+                } catch (error) {
+                    showError(type, error.message);
+                } finally {
+                    UIManager.hideLoading();
+                }
+            });
+        }
+
+        if (shareButton) {
+            shareButton.addEventListener('click', async () => {
+                if (await Utils.copyText(getShareLink())) {
+                    UIManager.showSuccess('Share link copied to clipboard');
+                } else {
+                    showError(type, 'Could not copy the share link');
+                }
+            });
+        }
+
+        if (resetButton) {
+            resetButton.addEventListener('click', async () => {
+                const label = getType(type).label;
+                if (!confirm(`Enable all ${label} nodes and restore the default order?`)) return;
+                await resetNodes(type);
+                render(type);
+                UIManager.showSuccess(`${label} node list reset`);
+            });
+        }
+    }
+
+    /**
+     * Bind panel buttons and auto mode toggles for both chains
+     */
+    function initialize() {
+        Object.keys(TYPES).forEach(type => {
+            const openButton = document.getElementById(`popup-button-${type}`);
+            const closeButton = document.getElementById(`close-button-${type}`);
+            const autoToggle = document.getElementById(`node-auto-${type}`);
+
+            if (openButton) {
+                openButton.addEventListener('click', () => open(type));
+            }
+            if (closeButton) {
+                closeButton.addEventListener('click', () => close(type));
+            }
+            if (autoToggle) {
+                // Unchecking pins the node in use
+                autoToggle.addEventListener('change', async () => {
+                    await setAuto(type, autoToggle.checked);
+                    render(type);
+                });
+            }
+
+            setupConfigButtons(type);
+        });
+    }
+
+    // Public API
+    return {
+        initialize,
+        open,
+        close,
+        getNodes,
+        getAllNodes,
+        getCustomNodes,
+        getPreferredNode,
+        isDefault,
+        isEnabled,
+        validateNode,
+        addNode,
+        removeNode,
+        setEnabled,
+        moveNode,
+        resetNodes,
+        select,
+        setAuto,
+        exportConfig,
+        saveConfig,
+        getShareLink,
+        importFromHash,
+        exportFile,
+        importFile
+    };
+})();
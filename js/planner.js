@@ -0,0 +1,478 @@
+/**
+ * Split Planner Module
+ * Compares one large swap against the same amount sent in N tranches using
+ * SwapManager.calculateFee and the current pools, and can execute the
+ * tranches one after another, waiting for each bridge reply and refreshing
+ * liquidity before the next
+ */
+
+const SwapPlanner = (function() {
+    const DIRECTIONS = {
+        "HIVE": "SWAP.HIVE",
+        "SWAP.HIVE": "HIVE"
+    };
+
+    // Output gain (in the output token) each extra transaction has to bring
+    const MIN_GAIN_PER_TRANCHE = 0.01;
+
+    // Sequential execution state
+    const run = {
+        active: false,
+        stopRequested: false
+    };
+
+    let lastPlan = null;
+
+    // ==================== PLANNING ====================
+
+    /**
+     * Pool key of a token
+     */
+    function poolKey(token) {
+        return token === "HIVE" ? "hive" : "swapHive";
+    }
+
+    /**
+     * Split an amount into n tranches of token precision, the last takes the remainder
+     */
+    function splitAmount(total, count) {
+        const size = Math.floor((total * CONFIG.DECIMAL) / count) / CONFIG.DECIMAL;
+        const amounts = [];
+        for (let i = 0; i < count - 1; i++) {
+            amounts.push(size);
+        }
+        amounts.push(Utils.roundTo(total - size * (count - 1), 3));
+        return amounts;
+    }
+
+    /**
+     * Largest tranche count that keeps every tranche at or above the minimum swap
+     */
+    function maxTranches(total, limit = CONFIG.SPLIT_MAX_TRANCHES) {
+        return Math.max(Math.min(Math.floor(total / CONFIG.MINIMUM_SWAP), limit), 1);
+    }
+
+    /**
+     * Simulate sending total in count tranches
+     * After each tranche the input pool grows by the amount sent and the output
+     * pool shrinks by the amount received, then rebalance (0 to 1) moves the pools
+     * back that share of the way to where they started before the next tranche
+     * Returns { count, tranches, totalExpected, totalFee, rate, feasible, reason }
+     */
+    function simulate(total, fromToken, count, options = {}) {
+        const toToken = DIRECTIONS[fromToken];
+        const rebalance = Math.min(Math.max(Utils.parseNumber(options.rebalance, 0), 0), 1);
+        const start = options.pools || { hive: CONFIG.HIVEPOOL, swapHive: CONFIG.SHIVEPOOL };
+        const pools = { hive: start.hive, swapHive: start.swapHive };
+
+        const tranches = [];
+        let totalExpected = 0;
+        let totalFee = 0;
+        let reason = null;
+
+        splitAmount(total, count).forEach((amount, index) => {
+            if (reason) return;
+
+            const quote = SwapManager.calculateExpectedOutput(amount, fromToken, toToken, pools);
+            if (quote.expected > pools[poolKey(toToken)]) {
+                reason = `tranche ${index + 1} needs more ${toToken} than the bridge holds`;
+                return;
+            }
+
+            tranches.push({
+                amount: amount,
+                expected: quote.expected,
+                fee: quote.fee,
+                feePercent: quote.feePercent,
+                pools: { hive: pools.hive, swapHive: pools.swapHive }
+            });
+            totalExpected += quote.expected;
+            totalFee += quote.fee;
+
+            pools[poolKey(fromToken)] += amount;
+            pools[poolKey(toToken)] -= quote.expected;
+            pools.hive += (start.hive - pools.hive) * rebalance;
+            pools.swapHive += (start.swapHive - pools.swapHive) * rebalance;
+        });
+
+        totalExpected = Utils.roundTo(totalExpected, 3);
+        return {
+            count: count,
+            tranches: tranches,
+            totalExpected: totalExpected,
+            totalFee: Utils.roundTo(totalFee, 8),
+            rate: total > 0 ? totalExpected / total : 0,
+            feasible: reason === null,
+            reason: reason
+        };
+    }
+
+    /**
+     * Compare a single swap against 2..N tranches
+     * options: { rebalance, maxTranches, pools }
+     * Returns { total, from, to, rebalance, scenarios, single, best }
+     * best is the feasible scenario with the highest output, a split has to beat
+     * fewer tranches by MIN_GAIN_PER_TRANCHE per extra tranche to be picked
+     */
+    function plan(total, fromToken, options = {}) {
+        const amount = Utils.parseNumber(total, 0);
+        if (!DIRECTIONS[fromToken]) {
+            throw new Utils.ValidationError(`Unknown token: ${fromToken}`);
+        }
+        if (!Utils.isPositiveNumber(amount) || amount < CONFIG.MINIMUM_SWAP) {
+            throw new Utils.ValidationError(`Minimum swap amount is ${CONFIG.MINIMUM_SWAP}`);
+        }
+
+        const scenarios = [];
+        const count = maxTranches(amount, options.maxTranches);
+        for (let n = 1; n <= count; n++) {
+            scenarios.push(simulate(amount, fromToken, n, options));
+        }
+
+        let best = null;
+        scenarios.forEach(scenario => {
+            if (!scenario.feasible) return;
+            const required = best ? (scenario.count - best.count) * MIN_GAIN_PER_TRANCHE : 0;
+            if (!best || scenario.totalExpected - best.totalExpected >= required) {
+                best = scenario;
+            }
+        });
+
+        return {
+            total: amount,
+            from: fromToken,
+            to: DIRECTIONS[fromToken],
+            rebalance: Utils.parseNumber(options.rebalance, 0),
+            scenarios: scenarios,
+            single: scenarios[0],
+            best: best
+        };
+    }
+
+    // ==================== EXECUTION ====================
+
+    /**
+     * Quote a tranche against the live pools with the swap form slippage
+     */
+    function quoteTranche(amount, fromToken, toToken, slippage) {
+        const quote = SwapManager.calculateExpectedOutput(amount, fromToken, toToken);
+        return {
+            from: fromToken,
+            to: toToken,
+            amount: amount,
+            slippage: slippage,
+            expected: quote.expected,
+            fee: quote.fee,
+            feePercent: quote.feePercent,
+            minReceive: Utils.safeMultiply(quote.expected, 1 - slippage / 100)
+        };
+    }
+
+    /**
+     * Check a tranche can be sent right now, throws a ValidationError if not
+     * The normal swap checks plus the bridge output liquidity
+     */
+    function validateTranche(swap) {
+        SwapManager.validateSwap(swap);
+
+        const available = Utils.parseNumber(MarketManager.getLiquidity()[poolKey(swap.to)], 0);
+        if (swap.expected > available) {
+            throw new Utils.ValidationError(`Bridge has only ${Utils.formatNumber(available, 3)} ${swap.to} available`);
+        }
+    }
+
+    /**
+     * Send the tranches of a scenario one at a time
+     * Each tranche is quoted on freshly fetched pools and sent only after the
+     * bridge replied to the previous one; a refund, a missing reply or an error stops the run
+     * onProgress receives { index, count, status, message }
+     * Resolves with { completed, count, received, stoppedReason }
+     */
+    async function executePlan(planned, scenario, onProgress = null) {
+        if (run.active) {
+            throw new Utils.ValidationError("A split swap is already running");
+        }
+
+        const username = WalletManager.getCurrentUser();
+        if (!username) {
+            throw new Utils.ValidationError("Please load your wallet first");
+        }
+
+        const signer = Signers.requireSelected();
+        if (signer.redirects) {
+            throw new Utils.ValidationError(`${signer.name} leaves the page to sign, choose another signer to send tranches`);
+        }
+
+        const report = (index, status, message) => {
+            if (onProgress) onProgress({ index: index, count: scenario.count, status: status, message: message });
+        };
+
+        const slippage = SwapManager.getCurrentSwap().slippage;
+        const amounts = scenario.tranches.map(tranche => tranche.amount);
+        let completed = 0;
+        let received = 0;
+        let stoppedReason = null;
+
+        run.active = true;
+        run.stopRequested = false;
+
+        try {
+            for (let i = 0; i < amounts.length; i++) {
+                if (run.stopRequested) {
+                    stoppedReason = "Stopped by user";
+                    break;
+                }
+
+                report(i, 'refreshing', `Tranche ${i + 1}/${amounts.length}: refreshing liquidity...`);
+                await MarketManager.fetchLiquidity(true);
+                await WalletManager.refreshBalance();
+
+                const swap = quoteTranche(amounts[i], planned.from, planned.to, slippage);
+                validateTranche(swap);
+
+                report(i, 'signing', `Tranche ${i + 1}/${amounts.length}: sign ${swap.amount.toFixed(3)} ${swap.from}`);
+                if (!await SwapManager.confirmSwap(signer, swap, username)) {
+                    stoppedReason = `Tranche ${i + 1} was not confirmed`;
+                    break;
+                }
+
+                const result = await SwapManager.submitSwap(signer, swap, username);
+                if (!result.transactionId) {
+                    stoppedReason = "The signer did not return a transaction ID, the bridge reply cannot be followed";
+                    break;
+                }
+
+                report(i, 'waiting', `Tranche ${i + 1}/${amounts.length}: waiting for the bridge reply...`);
+                const reply = await SwapManager.trackSwap(result.transactionId, username, swap.to);
+                if (!reply.found) {
+                    stoppedReason = `No bridge reply seen for tranche ${i + 1}`;
+                    break;
+                }
+                if ((reply.symbol || swap.to) !== swap.to) {
+                    stoppedReason = `Tranche ${i + 1} was refunded`;
+                    break;
+                }
+
+                completed++;
+                received += Utils.parseNumber(reply.amount, 0);
+                report(i, 'done', `Tranche ${i + 1}/${amounts.length} completed`);
+            }
+        } catch (error) {
+            const handled = Utils.handleError(error, 'SwapPlanner.executePlan');
+            stoppedReason = handled.message;
+        } finally {
+            run.active = false;
+            run.stopRequested = false;
+            SwapManager.validateButton();
+        }
+
+        return {
+            completed: completed,
+            count: amounts.length,
+            received: Utils.roundTo(received, 3),
+            stoppedReason: stoppedReason
+        };
+    }
+
+    /**
+     * Stop a running split swap once the current tranche finishes
+     */
+    function stop() {
+        if (run.active) {
+            run.stopRequested = true;
+        }
+    }
+
+    /**
+     * Check if a split swap is running
+     */
+    function isRunning() {
+        return run.active;
+    }
+
+    // ==================== PANEL ====================
+
+    /**
+     * Read the planner inputs, an empty amount or direction follows the swap form
+     */
+    function readInputs() {
+        const amountInput = document.getElementById('splitAmount');
+        const directionSelect = document.getElementById('splitDirection');
+        const rebalanceInput = document.getElementById('splitRebalance');
+        const swap = SwapManager.getCurrentSwap();
+
+        const amount = amountInput && amountInput.value !== ''
+            ? Utils.parseNumber(amountInput.value, 0)
+            : Utils.parseNumber(swap.amount, 0);
+        const rebalance = rebalanceInput && rebalanceInput.value !== ''
+            ? Utils.parseNumber(rebalanceInput.value, 0) / 100
+            : 0;
+
+        return {
+            amount: amount,
+            from: directionSelect && directionSelect.value ? directionSelect.value : swap.from,
+            rebalance: rebalance
+        };
+    }
+
+    /**
+     * Render the scenario table and recommendation
+     */
+    function renderPlan(planned) {
+        const body = document.querySelector('#splitPlanTable tbody');
+        const summary = document.getElementById('splitPlanSummary');
+        const executeButton = document.getElementById('splitExecute');
+        if (!body || !summary) return;
+
+        body.innerHTML = '';
+        planned.scenarios.forEach(scenario => {
+            const tr = document.createElement('tr');
+            if (scenario === planned.best) tr.className = 'split-best';
+            const gain = scenario.totalExpected - planned.single.totalExpected;
+
+            tr.appendChild(Utils.tableCell(String(scenario.count)));
+            tr.appendChild(Utils.tableCell(`${Utils.formatNumber(scenario.tranches[0] ? scenario.tranches[0].amount : 0, 3)} ${planned.from}`));
+            if (scenario.feasible) {
+                tr.appendChild(Utils.tableCell(`${Utils.formatNumber(scenario.totalExpected, 3)} ${planned.to}`));
+                tr.appendChild(Utils.tableCell(scenario.rate.toFixed(5)));
+                tr.appendChild(Utils.tableCell(scenario.count === 1 ? '-' : `${gain >= 0 ? '+' : ''}${gain.toFixed(3)}`,
+                    gain > 0 ? 'text-success' : (gain < 0 ? 'text-danger' : '')));
+            } else {
+                const td = Utils.tableCell(scenario.reason, 'text-warning');
+                td.colSpan = 3;
+                tr.appendChild(td);
+            }
+            body.appendChild(tr);
+        });
+
+        const assumption = planned.rebalance > 0
+            ? `assuming the bridge recovers ${Utils.roundTo(planned.rebalance * 100, 1)}% of each tranche's pool shift before the next`
+            : 'assuming the pools only move with your own tranches';
+
+        if (!planned.best) {
+            summary.textContent = `No split fits the current bridge liquidity (${assumption}).`;
+        } else if (planned.best.count === 1) {
+            summary.textContent = `A single swap is best: ${Utils.formatNumber(planned.single.totalExpected, 3)} ${planned.to} (${assumption}).`;
+        } else {
+            const gain = planned.best.totalExpected - (planned.single.feasible ? planned.single.totalExpected : 0);
+            summary.textContent = `${planned.best.count} tranches are best: ${Utils.formatNumber(planned.best.totalExpected, 3)} ${planned.to}` +
+                (planned.single.feasible ? `, ${gain.toFixed(3)} more than a single swap` : '') +
+                ` (${assumption}). Actual output depends on the pools when each tranche is sent.`;
+        }
+
+        if (executeButton) {
+            executeButton.disabled = !planned.best || planned.best.count === 1 || run.active;
+        }
+    }
+
+    /**
+     * Build a plan from the inputs and show it
+     */
+    function updatePlan() {
+        const summary = document.getElementById('splitPlanSummary');
+        const inputs = readInputs();
+        try {
+            lastPlan = plan(inputs.amount, inputs.from, { rebalance: inputs.rebalance });
+            renderPlan(lastPlan);
+        } catch (error) {
+            // Only input validation fails here, nothing worth reporting
+            lastPlan = null;
+            const body = document.querySelector('#splitPlanTable tbody');
+            if (body) body.innerHTML = '';
+            if (summary) summary.textContent = error.message;
+            const executeButton = document.getElementById('splitExecute');
+            if (executeButton) executeButton.disabled = true;
+        }
+    }
+
+    /**
+     * Show execution progress
+     */
+    function showProgress(text) {
+        const progress = document.getElementById('splitProgress');
+        if (progress) progress.textContent = text;
+    }
+
+    /**
+     * Execute the recommended split after confirmation
+     */
+    async function executeBest() {
+        if (!lastPlan || !lastPlan.best || lastPlan.best.count === 1) return;
+
+        const planned = lastPlan;
+        const scenario = planned.best;
+        const size = Utils.formatNumber(scenario.tranches[0].amount, 3);
+        if (!confirm(`Send ${scenario.count} swaps of about ${size} ${planned.from}, one after another?\n` +
+            'Each one needs your signature and starts after the bridge replied to the previous one.')) {
+            return;
+        }
+
+        const executeButton = document.getElementById('splitExecute');
+        const stopButton = document.getElementById('splitStop');
+        if (executeButton) executeButton.disabled = true;
+        if (stopButton) stopButton.disabled = false;
+
+        try {
+            const result = await executePlan(planned, scenario, progress => showProgress(progress.message));
+            const summary = `${result.completed}/${result.count} tranches completed, received ${Utils.formatNumber(result.received, 3)} ${planned.to}`;
+            if (result.stoppedReason) {
+                showProgress(`${summary}. Stopped: ${result.stoppedReason}`);
+                UIManager.showError(`Split swap stopped: ${result.stoppedReason}`);
+            } else {
+                showProgress(summary);
+                UIManager.showSuccess(`Split swap completed! Received ${Utils.formatNumber(result.received, 3)} ${planned.to}`);
+            }
+        } catch (error) {
+            const handled = Utils.handleError(error, 'SwapPlanner.executeBest');
+            showProgress(handled.message);
+            UIManager.showError(handled.message);
+        } finally {
+            if (stopButton) stopButton.disabled = true;
+            updatePlan();
+        }
+    }
+
+    /**
+     * Bind the planner inputs and buttons
+     */
+    function initialize() {
+        ['splitAmount', 'splitDirection', 'splitRebalance'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('input', updatePlan);
+        });
+
+        const planButton = document.getElementById('splitPlanButton');
+        if (planButton) {
+            planButton.addEventListener('click', () => {
+                // Plan on the latest pools
+                MarketManager.fetchLiquidity(true).then(updatePlan);
+            });
+        }
+
+        const executeButton = document.getElementById('splitExecute');
+        if (executeButton) {
+            executeButton.addEventListener('click', executeBest);
+        }
+
+        const stopButton = document.getElementById('splitStop');
+        if (stopButton) {
+            stopButton.addEventListener('click', () => {
+                stop();
+                showProgress('Stopping after the current tranche...');
+            });
+        }
+
+        updatePlan();
+    }
+
+    // Public API
+    return {
+        initialize,
+        plan,
+        simulate,
+        executePlan,
+        refresh: updatePlan,
+        stop,
+        isRunning
+    };
+})();
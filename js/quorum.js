@@ -0,0 +1,153 @@
+/**
+ * Quorum Module
+ * Reads the bridge pool balances from several Hive and Hive Engine nodes and
+ * checks they agree, so a single stale or malicious node cannot set the pools
+ * the swap fee is calculated from
+ */
+
+const Quorum = (function() {
+    const READ_TIMEOUT = 5000;
+
+    // ==================== NODE READS ====================
+
+    /**
+     * Pick the nodes to ask: the node in use first, then enabled nodes by priority
+     */
+    function pickNodes(type, count) {
+        const current = APIManager.getCurrentNode(type);
+        const others = NodeManager.getNodes(type).filter(url => url !== current);
+        return [...new Set([current, ...others].filter(Boolean))].slice(0, count);
+    }
+
+    /**
+     * Read the bridge HIVE balance from one Hive node
+     */
+    async function readHiveBalance(url) {
+        const response = await Diagnostics.track('hive', 'condenser_api.get_accounts', url, () => Utils.withTimeout(
+            axios.post(url, {
+                jsonrpc: '2.0',
+                method: 'condenser_api.get_accounts',
+                params: [[CONFIG.BRIDGE_USER]],
+                id: 1
+            }, { timeout: READ_TIMEOUT }),
+            READ_TIMEOUT
+        ));
+
+        const accounts = response.data && response.data.result;
+        if (!Array.isArray(accounts) || accounts.length === 0) {
+            throw new Utils.APIError('Bridge account not returned', url);
+        }
+        return Utils.parseNumber(accounts[0].balance, 0);
+    }
+
+    /**
+     * Read the bridge SWAP.HIVE balance from one Hive Engine node
+     */
+    async function readEngineBalance(url) {
+        const balances = await Utils.withTimeout(
+            new SSC(url).find('tokens', 'balances', { account: CONFIG.BRIDGE_USER, symbol: 'SWAP.HIVE' }, 1, 0, []),
+            READ_TIMEOUT
+        );
+
+        if (!Array.isArray(balances)) {
+            throw new Utils.APIError('Bridge balance not returned', url);
+        }
+        // No balance row means an empty pool
+        return balances.length > 0 ? Utils.parseNumber(balances[0].balance, 0) : 0;
+    }
+
+    /**
+     * Read a value from each node, failures are kept as readings with an error
+     */
+    function readAll(urls, reader) {
+        return Promise.all(urls.map(url => reader(url)
+            .then(value => ({ url: url, value: value, error: null }))
+            .catch(error => ({ url: url, value: null, error: error.message || String(error) }))
+        ));
+    }
+
+    // ==================== AGREEMENT ====================
+
+    /**
+     * Check readings agree: a majority of the nodes asked must answer and every
+     * answer must be within tolerance (relative to the median) of the others
+     * Unreachable nodes do not count as disagreeing
+     * Fails closed when fewer than CONFIG.LIQUIDITY_QUORUM_MIN_NODES distinct nodes
+     * were asked, a single node cannot confirm itself
+     * Returns { agreed, value, spread, readings, reason }
+     */
+    function evaluate(readings, tolerance) {
+        const nodes = new Set(readings.map(reading => reading.url)).size;
+        if (nodes < CONFIG.LIQUIDITY_QUORUM_MIN_NODES) {
+            return {
+                agreed: false,
+                value: null,
+                spread: null,
+                readings: readings,
+                reason: `only ${nodes} node enabled, enable at least ${CONFIG.LIQUIDITY_QUORUM_MIN_NODES} for a quorum`
+            };
+        }
+
+        const answered = readings.filter(reading => reading.error === null);
+        const required = Math.max(Math.floor(readings.length / 2) + 1, CONFIG.LIQUIDITY_QUORUM_MIN_NODES);
+
+        if (answered.length < required) {
+            return {
+                agreed: false,
+                value: null,
+                spread: null,
+                readings: readings,
+                reason: `only ${answered.length} of ${readings.length} nodes answered`
+            };
+        }
+
+        const values = answered.map(reading => reading.value);
+        const value = Utils.roundTo(Utils.median(values), 3);  // Token precision
+        const spread = Math.max(...values) - Math.min(...values);
+        const agreed = spread <= Math.abs(value) * tolerance;
+
+        return {
+            agreed: agreed,
+            value: agreed ? value : null,
+            spread: spread,
+            readings: readings,
+            reason: agreed ? null : answered.map(reading => `${reading.value.toFixed(3)} @ ${reading.url}`).join(', ')
+        };
+    }
+
+    /**
+     * Read both bridge pools from CONFIG.LIQUIDITY_QUORUM_NODES nodes per chain
+     * Resolves with { agreed, hive, swapHive, message } where hive/swapHive are evaluate results
+     */
+    async function readBridgeLiquidity() {
+        const count = CONFIG.LIQUIDITY_QUORUM_NODES;
+        const tolerance = CONFIG.LIQUIDITY_QUORUM_TOLERANCE;
+
+        const [hiveReadings, engineReadings] = await Promise.all([
+            readAll(pickNodes('hive', count), readHiveBalance),
+            readAll(pickNodes('engine', count), readEngineBalance)
+        ]);
+
+        const hiveResult = evaluate(hiveReadings, tolerance);
+        const swapHiveResult = evaluate(engineReadings, tolerance);
+
+        const problems = [];
+        if (!hiveResult.agreed) problems.push(`HIVE pool: ${hiveResult.reason}`);
+        if (!swapHiveResult.agreed) problems.push(`SWAP.HIVE pool: ${swapHiveResult.reason}`);
+
+        return {
+            agreed: problems.length === 0,
+            hive: hiveResult,
+            swapHive: swapHiveResult,
+            message: problems.length === 0
+                ? null
+                : `Bridge liquidity not confirmed by a node quorum, swaps are paused. ${problems.join('; ')}`
+        };
+    }
+
+    // Public API
+    return {
+        evaluate,
+        readBridgeLiquidity
+    };
+})();
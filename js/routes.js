@@ -0,0 +1,59 @@
+/**
+ * Route Comparison Module
+ * Shows what converting through the Hive Engine gateway (HIVE deposit or
+ * SWAP.HIVE withdrawal) would give next to the bridge quote
+ *
+ * Every Hive Engine market book is priced in SWAP.HIVE, so there is no
+ * HIVE/SWAP.HIVE book to simulate a fill against. The gateway route is an
+ * estimate from the published fees in CONFIG, not a best execution verdict
+ */
+
+const RouteCompare = (function() {
+
+    /**
+     * Quote converting through the Hive Engine gateway
+     * HIVE is deposited for SWAP.HIVE, SWAP.HIVE is withdrawn for HIVE
+     */
+    function quoteGateway(amount, fromToken) {
+        if (!Utils.isPositiveNumber(amount)) {
+            return { expected: 0, fee: 0, feePercent: 0 };
+        }
+
+        const rate = fromToken === "HIVE" ? CONFIG.HE_GATEWAY_DEPOSIT_FEE : CONFIG.HE_GATEWAY_WITHDRAW_FEE;
+        const fee = amount * rate;
+
+        return {
+            expected: Math.floor((amount - fee) * CONFIG.DECIMAL) / CONFIG.DECIMAL,
+            fee: Utils.roundTo(fee, 8),
+            feePercent: Utils.roundTo(rate * 100, 4)
+        };
+    }
+
+    /**
+     * Show the gateway estimate next to the bridge quote
+     * Only an estimate at the published fee is shown, there is no order book
+     * to fill against so no route is called the better one
+     */
+    function render(swap) {
+        const value = document.getElementById('gatewayQuote');
+        const note = document.getElementById('routeVerdict');
+        if (!value || !note) return;
+
+        if (!Utils.isPositiveNumber(swap.amount)) {
+            value.textContent = '-';
+            note.textContent = '';
+            return;
+        }
+
+        const gateway = quoteGateway(swap.amount, swap.from);
+        const action = swap.from === "HIVE" ? 'deposit' : 'withdrawal';
+        value.textContent = `${gateway.expected.toFixed(3)} ${swap.to} (${gateway.feePercent}% ${action} fee)`;
+        note.textContent = `Estimate at the published gateway ${action} fee, Hive Engine has no HIVE/SWAP.HIVE order book`;
+    }
+
+    // Public API
+    return {
+        quoteGateway,
+        render
+    };
+})();
@@ -0,0 +1,447 @@
+/**
+ * Swap Schedules Module
+ * Recurring (DCA) swap plans: a fixed amount and direction every interval until
+ * an end date, sent only while the fee stays under a cap
+ * Due schedules are run while the app is open, each swap goes through
+ * SwapManager.validateSwap and is recorded in swap history with its scheduleId
+ * Schedules are kept in localStorage so they survive reloads
+ */
+
+const SwapSchedules = (function() {
+    const STORAGE_KEY = 'swapSchedules';
+
+    const INTERVALS = {
+        hourly: { label: 'Hourly', ms: 60 * 60 * 1000 },
+        daily: { label: 'Daily', ms: 24 * 60 * 60 * 1000 },
+        weekly: { label: 'Weekly', ms: 7 * 24 * 60 * 60 * 1000 }
+    };
+
+    let checkTimer = null;
+    let checking = false;
+
+    // ==================== STORAGE ====================
+
+    /**
+     * Read all stored schedules
+     */
+    function load() {
+        try {
+            const schedules = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(schedules) ? schedules : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Write all schedules
+     */
+    function save(schedules) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(schedules));
+    }
+
+    /**
+     * Apply changes to a stored schedule, returns the updated schedule or null
+     */
+    function update(id, changes) {
+        const schedules = load();
+        const schedule = schedules.find(item => item.id === id);
+        if (!schedule) return null;
+
+        Object.assign(schedule, changes);
+        save(schedules);
+        return schedule;
+    }
+
+    // ==================== SCHEDULES ====================
+
+    /**
+     * Create a schedule for the loaded account, the first swap is due right away
+     * endDate is a timestamp or null for no end
+     * Throws a ValidationError for invalid input
+     */
+    function create(amount, fromToken, interval, maxFeePercent, endDate, slippage) {
+        const username = WalletManager.getCurrentUser();
+        if (!username) {
+            throw new Utils.ValidationError("Please load your wallet first");
+        }
+
+        const value = Utils.parseNumber(amount, 0);
+        const feeCap = Utils.parseNumber(maxFeePercent, -1);
+        if (fromToken !== "HIVE" && fromToken !== "SWAP.HIVE") {
+            throw new Utils.ValidationError(`Unknown token: ${fromToken}`);
+        }
+        if (!Utils.isPositiveNumber(value) || value < CONFIG.MINIMUM_SWAP) {
+            throw new Utils.ValidationError(`Minimum swap amount is ${CONFIG.MINIMUM_SWAP}`);
+        }
+        if (!INTERVALS[interval]) {
+            throw new Utils.ValidationError(`Unknown interval: ${interval}`);
+        }
+        if (feeCap < 0) {
+            throw new Utils.ValidationError("Max fee % must be 0 or more");
+        }
+        if (endDate !== null && (!Number.isFinite(endDate) || endDate <= Date.now())) {
+            throw new Utils.ValidationError("End date must be in the future");
+        }
+        if (!Utils.isValidSlippage(slippage)) {
+            throw new Utils.ValidationError("Slippage must be between 0 and 100%");
+        }
+
+        const now = Date.now();
+        const schedule = {
+            id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            username: username,
+            from: fromToken,
+            to: fromToken === "HIVE" ? "SWAP.HIVE" : "HIVE",
+            amount: Utils.roundTo(value, 3),
+            interval: interval,
+            maxFeePercent: feeCap,
+            endDate: endDate,
+            slippage: Utils.parseNumber(slippage),
+            active: true,
+            createdAt: now,
+            nextRun: now,
+            lastRun: null,
+            runs: 0,
+            message: null
+        };
+
+        const schedules = load();
+        schedules.push(schedule);
+        save(schedules);
+        startChecking();
+        return schedule;
+    }
+
+    /**
+     * Pause or resume a schedule, a resumed schedule is due right away
+     */
+    function setActive(id, active) {
+        return update(id, active
+            ? { active: true, nextRun: Date.now(), message: null }
+            : { active: false, message: 'Paused' });
+    }
+
+    /**
+     * Delete a schedule, its recorded swaps keep their scheduleId
+     */
+    function remove(id) {
+        save(load().filter(schedule => schedule.id !== id));
+    }
+
+    /**
+     * Schedules of the loaded account, oldest first
+     */
+    function getSchedules() {
+        const username = WalletManager.getCurrentUser();
+        return load()
+            .filter(schedule => schedule.username === username)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Short description of a schedule for the history table, null if deleted
+     */
+    function describe(id) {
+        const schedule = load().find(item => item.id === id);
+        if (!schedule) return null;
+        return `${schedule.amount.toFixed(3)} ${schedule.from} → ${schedule.to} ${INTERVALS[schedule.interval].label.toLowerCase()}`;
+    }
+
+    /**
+     * First run time after now on the schedule's grid, missed runs are skipped
+     */
+    function nextRunAfter(schedule, now) {
+        const step = INTERVALS[schedule.interval].ms;
+        const missed = Math.floor((now - schedule.nextRun) / step) + 1;
+        return schedule.nextRun + Math.max(missed, 1) * step;
+    }
+
+    // ==================== EXECUTION ====================
+
+    /**
+     * Build the swap for a schedule on the live pools with its slippage
+     */
+    function buildSwap(schedule) {
+        const quote = SwapManager.calculateExpectedOutput(schedule.amount, schedule.from, schedule.to);
+        return {
+            from: schedule.from,
+            to: schedule.to,
+            amount: schedule.amount,
+            slippage: schedule.slippage,
+            expected: quote.expected,
+            fee: quote.fee,
+            feePercent: quote.feePercent,
+            minReceive: Utils.safeMultiply(quote.expected, 1 - schedule.slippage / 100)
+        };
+    }
+
+    /**
+     * Check a scheduled swap can be sent now, throws a ValidationError if not
+     * The normal swap checks plus the schedule's fee cap and the bridge output liquidity
+     */
+    function validate(schedule, swap) {
+        SwapManager.validateSwap(swap);
+
+        // The fee of the quote that gets signed, not a fresh one from the global pools
+        if (swap.feePercent > schedule.maxFeePercent) {
+            throw new Utils.ValidationError(`Fee ${swap.feePercent.toFixed(3)}% is above the ${schedule.maxFeePercent}% cap`);
+        }
+
+        const liquidity = MarketManager.getLiquidity();
+        const available = Utils.parseNumber(swap.to === "HIVE" ? liquidity.hive : liquidity.swapHive, 0);
+        if (swap.expected > available) {
+            throw new Utils.ValidationError(`Bridge has only ${Utils.formatNumber(available, 3)} ${swap.to} available`);
+        }
+    }
+
+    /**
+     * Run a due schedule
+     * A swap that cannot be sent yet (fee cap, balance, liquidity) is retried on
+     * the next check; a rejected or failed signature skips this run
+     */
+    async function run(schedule, signer, manual = false) {
+        const swap = buildSwap(schedule);
+        try {
+            validate(schedule, swap);
+        } catch (error) {
+            update(schedule.id, { message: `Waiting: ${error.message}` });
+            if (manual) UIManager.showError(error.message);
+            return false;
+        }
+
+        // HiveSigner leaves the page, its swap is recorded on return without the scheduleId
+        if (!manual && (signer.redirects || !signer.isAvailable())) {
+            update(schedule.id, { message: `Due, ${signer.name} cannot sign in the background` });
+            return false;
+        }
+
+        // Manual runs are previewed, background runs with a confirmation warning wait for Run Now
+        if (manual) {
+            if (!await SwapManager.confirmSwap(signer, swap, schedule.username)) {
+                update(schedule.id, { message: 'Run not confirmed' });
+                return false;
+            }
+        } else {
+            const warnings = SwapConfirm.getWarnings(swap);
+            if (warnings.length > 0) {
+                update(schedule.id, { message: `Due, needs review: ${warnings[0]}` });
+                return false;
+            }
+        }
+
+        const now = Date.now();
+        try {
+            const result = await SwapManager.submitSwap(signer, swap, schedule.username, { scheduleId: schedule.id });
+            update(schedule.id, {
+                lastRun: now,
+                runs: schedule.runs + 1,
+                nextRun: nextRunAfter(schedule, now),
+                message: null
+            });
+
+            if (!result.redirected) {
+                UIManager.showSuccess(`Scheduled swap sent: ${swap.amount.toFixed(3)} ${swap.from}`);
+                if (result.transactionId) {
+                    SwapManager.trackSwap(result.transactionId, schedule.username, swap.to)
+                        .catch(error => Utils.handleError(error, 'SwapManager.trackSwap'));
+                }
+            }
+            return true;
+        } catch (error) {
+            const handled = Utils.handleError(error, 'SwapSchedules.run');
+            update(schedule.id, { nextRun: nextRunAfter(schedule, now), message: `Skipped: ${handled.message}` });
+            return false;
+        }
+    }
+
+    /**
+     * Run a schedule now from the panel, with any signer
+     */
+    async function runNow(id) {
+        const schedule = load().find(item => item.id === id);
+        if (!schedule || !schedule.active) return false;
+
+        try {
+            await MarketManager.fetchLiquidity(true);
+            return await run(schedule, Signers.requireSelected(), true);
+        } catch (error) {
+            UIManager.showError(Utils.handleError(error, 'SwapSchedules.runNow').message);
+            return false;
+        } finally {
+            render();
+        }
+    }
+
+    /**
+     * Run the due schedules of the loaded account, oldest first
+     */
+    async function check() {
+        if (checking) return;
+
+        const now = Date.now();
+        getSchedules()
+            .filter(schedule => schedule.active && schedule.endDate && schedule.endDate <= now)
+            .forEach(schedule => update(schedule.id, { active: false, message: 'Ended' }));
+
+        const active = getSchedules().filter(schedule => schedule.active);
+        if (active.length === 0) {
+            stopChecking();
+            render();
+            return;
+        }
+
+        const due = active.filter(schedule => schedule.nextRun <= now);
+        if (due.length === 0) return;
+
+        checking = true;
+        try {
+            await MarketManager.fetchLiquidity(true);
+            const signer = Signers.getSelected();
+            for (const schedule of due) {
+                await run(schedule, signer);
+            }
+        } catch (error) {
+            const handled = Utils.handleError(error, 'SwapSchedules.check');
+            console.error(handled.message);
+        } finally {
+            checking = false;
+            render();
+        }
+    }
+
+    /**
+     * Check for due schedules while the loaded account has active ones
+     */
+    function startChecking() {
+        if (checkTimer) return;
+        checkTimer = setInterval(check, CONFIG.SCHEDULE_CHECK_INTERVAL);
+    }
+
+    /**
+     * Stop checking
+     */
+    function stopChecking() {
+        if (checkTimer) {
+            clearInterval(checkTimer);
+            checkTimer = null;
+        }
+    }
+
+    // ==================== PANEL ====================
+
+    /**
+     * Render the schedules of the loaded account
+     */
+    function render() {
+        const body = document.querySelector('#schedulesTable tbody');
+        if (!body) return;
+
+        body.innerHTML = '';
+        const schedules = getSchedules();
+        if (schedules.length === 0) {
+            const tr = document.createElement('tr');
+            const td = Utils.tableCell('No schedules.');
+            td.colSpan = 6;
+            tr.appendChild(td);
+            body.appendChild(tr);
+            return;
+        }
+
+        schedules.forEach(schedule => {
+            const tr = document.createElement('tr');
+            tr.id = `schedule-${schedule.id}`;
+
+            tr.appendChild(Utils.tableCell(`${schedule.amount.toFixed(3)} ${schedule.from} → ${schedule.to}`));
+            tr.appendChild(Utils.tableCell(INTERVALS[schedule.interval].label));
+            tr.appendChild(Utils.tableCell(`≤ ${schedule.maxFeePercent}%`));
+            tr.appendChild(Utils.tableCell(schedule.endDate ? new Date(schedule.endDate).toLocaleDateString() : '-'));
+
+            const status = Utils.tableCell(schedule.active
+                ? `Next ${schedule.nextRun <= Date.now() ? 'now' : new Date(schedule.nextRun).toLocaleString()} · ${schedule.runs} sent`
+                : `${schedule.runs} sent`);
+            if (schedule.message) {
+                const note = document.createElement('div');
+                note.className = 'refund-reason';
+                note.textContent = schedule.message;
+                status.appendChild(note);
+            }
+            tr.appendChild(status);
+
+            const actions = document.createElement('td');
+            if (schedule.active) {
+                actions.appendChild(Utils.actionButton('Run Now', 'btn-outline-primary', () => runNow(schedule.id)));
+                actions.appendChild(Utils.actionButton('Pause', 'btn-outline-primary', () => {
+                    setActive(schedule.id, false);
+                    render();
+                }));
+            } else if (!schedule.endDate || schedule.endDate > Date.now()) {
+                actions.appendChild(Utils.actionButton('Resume', 'btn-outline-primary', () => {
+                    setActive(schedule.id, true);
+                    refresh();
+                }));
+            }
+            actions.appendChild(Utils.actionButton('Delete', 'btn-outline-danger', () => {
+                if (confirm('Delete this schedule? Swaps it already sent stay in your history.')) {
+                    remove(schedule.id);
+                    render();
+                }
+            }));
+            tr.appendChild(actions);
+            body.appendChild(tr);
+        });
+    }
+
+    /**
+     * Render the loaded account's schedules and check while any are active
+     */
+    function refresh() {
+        render();
+        if (getSchedules().some(schedule => schedule.active)) {
+            startChecking();
+        }
+    }
+
+    /**
+     * Bind the schedule form and show stored schedules
+     */
+    function initialize() {
+        const form = document.getElementById('scheduleForm');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                try {
+                    const endValue = document.getElementById('scheduleEnd').value;
+                    create(
+                        document.getElementById('scheduleAmount').value,
+                        document.getElementById('scheduleDirection').value,
+                        document.getElementById('scheduleInterval').value,
+                        document.getElementById('scheduleMaxFee').value,
+                        // End of the chosen day, local time
+                        endValue ? new Date(`${endValue}T23:59:59`).getTime() : null,
+                        SwapManager.getCurrentSwap().slippage
+                    );
+                    form.reset();
+                    refresh();
+                } catch (error) {
+                    UIManager.showError(Utils.handleError(error, 'SwapSchedules.create').message);
+                }
+            });
+        }
+
+        refresh();
+    }
+
+    // Public API
+    return {
+        initialize,
+        create,
+        setActive,
+        remove,
+        runNow,
+        check,
+        getSchedules,
+        describe,
+        refresh
+    };
+})();
@@ -0,0 +1,274 @@
+/**
+ * Signers Module
+ * Pluggable transaction signers selectable via the txtype radios
+ *
+ * Every signer implements:
+ *   name                                             - matches the txtype radio value
+ *   isAvailable()                                    - true if it can sign in this browser
+ *   transfer(username, to, amount, symbol, memo)     - amount is a 3 decimal string
+ *   customJson(username, id, keyType, json, display) - keyType is "Active" or "Posting"
+ * Both sign methods resolve with { success, transactionId, blockNumber, raw }
+ * (blockNumber is null when the signer does not report it)
+ * and reject with Utils.TransactionError carrying a Utils.TX_ERROR_CODES code.
+ * Redirect based signers resolve with { redirected: true } and report the
+ * transaction ID through handleRedirectCallback() once the user returns.
+ * They set redirects: true so flows that sign several transactions can refuse them.
+ */
+
+const Signers = (function() {
+    const registry = {};
+    const DEFAULT_SIGNER = "Hive Keychain";
+    const HIVESIGNER_PENDING_KEY = 'hiveSignerPending';
+    const HIVESIGNER_PENDING_TTL = 60 * 60 * 1000; // 1 hour
+
+    /**
+     * Extract transaction ID from the various signer result shapes
+     */
+    function extractTransactionId(result) {
+        if (!result) return null;
+        if (typeof result === 'string') return result;
+        return result.id || result.tx_id || result.transaction_id || null;
+    }
+
+    /**
+     * Normalize a signer result
+     */
+    function normalizeResult(raw, result) {
+        return {
+            success: true,
+            transactionId: extractTransactionId(result),
+            blockNumber: (result && result.block_num) || null,
+            raw: raw
+        };
+    }
+
+    // ==================== HIVE KEYCHAIN ====================
+
+    /**
+     * Wrap a Keychain request callback into a promise
+     */
+    function keychainRequest(invoke) {
+        return new Promise((resolve, reject) => {
+            invoke((response) => {
+                if (response.success) {
+                    resolve(normalizeResult(response, response.result));
+                } else if (response.error === 'user_cancel') {
+                    reject(new Utils.TransactionError(
+                        response.message || "Transaction rejected",
+                        null,
+                        Utils.TX_ERROR_CODES.USER_REJECTED
+                    ));
+                } else {
+                    reject(new Utils.TransactionError(
+                        response.message || "Hive Keychain failed to sign the transaction",
+                        null,
+                        Utils.TX_ERROR_CODES.SIGNER_ERROR
+                    ));
+                }
+            });
+        });
+    }
+
+    const KeychainSigner = {
+        name: "Hive Keychain",
+
+        isAvailable() {
+            return !!window.hive_keychain;
+        },
+
+        transfer(username, to, amount, symbol, memo) {
+            return keychainRequest((callback) =>
+                hive_keychain.requestTransfer(username, to, amount, memo, symbol, callback)
+            );
+        },
+
+        customJson(username, id, keyType, json, display) {
+            return keychainRequest((callback) =>
+                hive_keychain.requestCustomJson(username, id, keyType, json, display, callback)
+            );
+        }
+    };
+
+    // ==================== HIVEAUTH ====================
+
+    const HiveAuthSigner = {
+        name: "Hive Auth",
+
+        isAvailable() {
+            return HiveAuth.isAvailable();
+        },
+
+        async transfer(username, to, amount, symbol, memo) {
+            const response = await HiveAuth.requestTransfer(username, to, amount, symbol, memo);
+            return normalizeResult(response, response.data);
+        },
+
+        async customJson(username, id, keyType, json, display) {
+            const response = await HiveAuth.requestCustomJson(username, id, json, keyType.toLowerCase());
+            return normalizeResult(response, response.data);
+        }
+    };
+
+    // ==================== HIVESIGNER ====================
+
+    /**
+     * Build the URL HiveSigner should redirect back to
+     */
+    function buildRedirectUri(nonce) {
+        return `${window.location.origin}${window.location.pathname}?hs_callback=${nonce}`;
+    }
+
+    /**
+     * Remember the operation being signed so the callback can be matched
+     */
+    function savePendingRedirect(nonce, username, operation) {
+        const pending = {
+            nonce: nonce,
+            username: username,
+            operation: operation,
+            timestamp: Date.now()
+        };
+        localStorage.setItem(HIVESIGNER_PENDING_KEY, JSON.stringify(pending));
+    }
+
+    /**
+     * Send the user to a HiveSigner sign URL
+     */
+    function redirectToHiveSigner(type, params, username, operation) {
+        const nonce = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+        const query = new URLSearchParams({ ...params, redirect_uri: buildRedirectUri(nonce) });
+        const url = `${CONFIG.HIVESIGNER_URL}/sign/${type}?${query.toString()}`;
+
+        savePendingRedirect(nonce, username, operation);
+        window.location.href = url;
+
+        return {
+            success: true,
+            transactionId: null,
+            blockNumber: null,
+            raw: { url: url },
+            redirected: true
+        };
+    }
+
+    const HiveSignerSigner = {
+        name: "HiveSigner",
+        redirects: true,
+
+        isAvailable() {
+            return true;
+        },
+
+        async transfer(username, to, amount, symbol, memo) {
+            const op = {
+                from: username,
+                to: to,
+                amount: `${amount} ${symbol}`,
+                memo: memo
+            };
+            return redirectToHiveSigner('transfer', op, username, ['transfer', op]);
+        },
+
+        async customJson(username, id, keyType, json, display) {
+            const isPosting = keyType.toLowerCase() === 'posting';
+            const required_auths = isPosting ? [] : [username];
+            const required_posting_auths = isPosting ? [username] : [];
+
+            return redirectToHiveSigner('custom-json', {
+                authority: isPosting ? 'posting' : 'active',
+                required_auths: JSON.stringify(required_auths),
+                required_posting_auths: JSON.stringify(required_posting_auths),
+                id: id,
+                json: json
+            }, username, ['custom_json', { id, json, required_auths, required_posting_auths }]);
+        }
+    };
+
+    /**
+     * Parse a HiveSigner redirect back into the app
+     * Returns { username, operation, transactionId } or null if the URL is not a callback
+     */
+    function handleRedirectCallback(params) {
+        const nonce = params.get('hs_callback');
+        if (!nonce) return null;
+
+        let pending = null;
+        try {
+            pending = JSON.parse(localStorage.getItem(HIVESIGNER_PENDING_KEY) || 'null');
+        } catch (error) {
+            pending = null;
+        }
+        localStorage.removeItem(HIVESIGNER_PENDING_KEY);
+
+        if (!pending || pending.nonce !== nonce) {
+            console.warn('HiveSigner callback does not match a pending request');
+            return null;
+        }
+        if (Date.now() - pending.timestamp > HIVESIGNER_PENDING_TTL) {
+            console.warn('HiveSigner callback expired');
+            return null;
+        }
+
+        const transactionId = params.get('transaction_id') || params.get('id') ||
+                              params.get('tx_id') || params.get('trx_id') || null;
+
+        return {
+            username: pending.username,
+            operation: pending.operation,
+            transactionId: transactionId
+        };
+    }
+
+    // ==================== REGISTRY ====================
+
+    /**
+     * Register a signer under its name
+     */
+    function register(signer) {
+        registry[signer.name] = signer;
+    }
+
+    /**
+     * Get signer by name
+     */
+    function get(name) {
+        return registry[name] || null;
+    }
+
+    /**
+     * Get signer selected in the txtype radios
+     */
+    function getSelected() {
+        const selected = document.querySelector('input[name="txtype"]:checked');
+        const name = selected ? selected.value : DEFAULT_SIGNER;
+        return get(name) || get(DEFAULT_SIGNER);
+    }
+
+    /**
+     * Get selected signer, throwing if it cannot sign in this browser
+     */
+    function requireSelected() {
+        const signer = getSelected();
+        if (!signer.isAvailable()) {
+            throw new Utils.TransactionError(
+                `${signer.name} is not available. Please install or enable it.`,
+                null,
+                Utils.TX_ERROR_CODES.SIGNER_UNAVAILABLE
+            );
+        }
+        return signer;
+    }
+
+    register(KeychainSigner);
+    register(HiveAuthSigner);
+    register(HiveSignerSigner);
+
+    // Public API
+    return {
+        register,
+        get,
+        getSelected,
+        requireSelected,
+        handleRedirectCallback
+    };
+})();
@@ -0,0 +1,174 @@
+/**
+ * History Store Module
+ * Persists swap records in IndexedDB, keyed by sent transaction ID
+ * Falls back to localStorage when IndexedDB is unavailable (e.g. some private modes)
+ */
+
+const HistoryStore = (function() {
+    const DB_NAME = 'uswap';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'swaps';
+    const LEGACY_KEY = 'swapHistory';
+
+    let dbPromise = null;
+
+    // ==================== LOCALSTORAGE FALLBACK ====================
+
+    /**
+     * Read records kept in localStorage (pre-IndexedDB storage and fallback)
+     */
+    function readLegacy() {
+        try {
+            return JSON.parse(localStorage.getItem(LEGACY_KEY) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Write records to localStorage
+     */
+    function writeLegacy(records) {
+        localStorage.setItem(LEGACY_KEY, JSON.stringify(records));
+    }
+
+    // ==================== INDEXEDDB ====================
+
+    /**
+     * Wrap an IDBRequest into a promise
+     */
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a write transaction and wait for it to commit
+     */
+    function write(db, apply) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, 'readwrite');
+            apply(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Move records from localStorage into IndexedDB once
+     */
+    async function migrateLegacy(db) {
+        const legacy = readLegacy().filter(record => record && record.txIdSent);
+        if (legacy.length === 0) return;
+
+        await write(db, (store) => legacy.forEach(record => store.put(record)));
+        localStorage.removeItem(LEGACY_KEY);
+        console.log(`Migrated ${legacy.length} swap records to IndexedDB`);
+    }
+
+    /**
+     * Open the database, resolves with null if IndexedDB cannot be used
+     */
+    function getDatabase() {
+        if (dbPromise) return dbPromise;
+
+        if (typeof indexedDB === 'undefined') {
+            dbPromise = Promise.resolve(null);
+            return dbPromise;
+        }
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'txIdSent' });
+                store.createIndex('username', 'username', { unique: false });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        })
+            .then(async (db) => {
+                await migrateLegacy(db);
+                return db;
+            })
+            .catch((error) => {
+                console.warn('IndexedDB unavailable, keeping swap history in localStorage:', error);
+                return null;
+            });
+
+        return dbPromise;
+    }
+
+    // ==================== RECORDS ====================
+
+    /**
+     * Get all records, optionally for one user, newest first
+     */
+    async function getAll(username = null) {
+        const db = await getDatabase();
+        let records;
+
+        if (db) {
+            const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+            records = await promisify(username ? store.index('username').getAll(username) : store.getAll());
+        } else {
+            records = readLegacy().filter(record => !username || record.username === username);
+        }
+
+        return records.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * Get a record by sent transaction ID
+     */
+    async function get(txIdSent) {
+        const db = await getDatabase();
+        if (!db) {
+            return readLegacy().find(record => record.txIdSent === txIdSent) || null;
+        }
+
+        const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+        return (await promisify(store.get(txIdSent))) || null;
+    }
+
+    /**
+     * Insert or replace several records
+     */
+    async function putMany(records) {
+        if (records.length === 0) return;
+
+        const db = await getDatabase();
+        if (db) {
+            await write(db, (store) => records.forEach(record => store.put(record)));
+            return;
+        }
+
+        const all = readLegacy();
+        for (const record of records) {
+            const index = all.findIndex(existing => existing.txIdSent === record.txIdSent);
+            if (index >= 0) {
+                all[index] = record;
+            } else {
+                all.push(record);
+            }
+        }
+        writeLegacy(all);
+    }
+
+    /**
+     * Insert or replace a record
+     */
+    function put(record) {
+        return putMany([record]);
+    }
+
+    // Public API
+    return {
+        getAll,
+        get,
+        put,
+        putMany
+    };
+})();
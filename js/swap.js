@@ -11,6 +11,12 @@ const SwapManager = (function() {
         BASE_PRICE_HIVE_TO_SHIVE: CONFIG.BASE_PRICE_HIVE_TO_SHIVE
     };
 
+    // Where feeConfig came from, loadedAt stays null while the built-in defaults are used
+    let feeConfigSource = {
+        url: null,
+        loadedAt: null
+    };
+
     let currentSwap = {
         from: "HIVE",
         to: "SWAP.HIVE",
@@ -18,112 +24,170 @@ const SwapManager = (function() {
         expected: 0,
         fee: 0,
         feePercent: 0,
-        slippage: 0.01,
+        slippage: CONFIG.DEFAULT_SLIPPAGE,
+        slippageDefaulted: false,
         minReceive: 0
     };
 
+    // How far before the swap to page back, covers clock skew between browser and chain
+    const HISTORY_SCAN_MARGIN = 5 * 60 * 1000; // 5 minutes
+
+    // Page limit for rebuilding history over long date ranges
+    const REBUILD_MAX_PAGES = 200;
+
+    // Pending swaps older than this are no longer re-checked on every load,
+    // "Rebuild from chain" settles them on demand
+    const PENDING_RECHECK_WINDOW = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+    // Sent transaction IDs with a forwarding transfer in progress
+    const forwarding = new Set();
+
+    // Recipients chosen on this device when the swap was signed, keyed by sent transaction ID
+    // Only these are forwarded, imported and rebuilt records never carry a recipient
+    const FORWARDS_KEY = 'swapForwards';
+
+    // Delivery fields that are only ever set locally
+    const FORWARD_FIELDS = ['recipient', 'forwardStatus', 'forwardTxId', 'forwardError'];
+
+    // ==================== HISTORY RECORDS ====================
+
+    /**
+     * Create a swap record in the stored shape
+     */
+    function createSwapRecord(txId, amount, fromToken, username, timestamp = Date.now()) {
+        return {
+            timestamp: timestamp,
+            txIdSent: txId,
+            amountSent: `${amount.toFixed(3)} ${fromToken}`,
+            fromToken: fromToken,
+            toToken: fromToken === "HIVE" ? "SWAP.HIVE" : "HIVE",
+            username: username,
+            status: 'pending',
+            txIdReceived: null,
+            amountReceived: null
+        };
+    }
+
+    /**
+     * Record fields describing the bridge reply
+     */
+    function replyFields(reply) {
+        return {
+            amountReceived: reply.amount,
+            txIdReceived: reply.txId,
+            memoReceived: reply.memo || null,
+            blockReceived: reply.blockNumber || null,
+            chainReceived: reply.chain || 'hive'
+        };
+    }
+
+    /**
+     * Create a cached, paginated scanner over the bridge account history
+     */
+    function createBridgeScanner() {
+        return AccountHistory.createScanner(CONFIG.BRIDGE_USER);
+    }
+
     /**
      * Check uswap HIVE transfers for completion confirmation
+     * Pages back through bridge history until sinceTimestamp (ms)
      */
-    async function checkUswapHiveTransfers(originalTxId, username) {
+    async function checkUswapHiveTransfers(originalTxId, username, scanner = null, sinceTimestamp = null) {
         try {
-            const history = await APIManager.tryWithFailover(() => 
-                hive.api.getAccountHistoryAsync(CONFIG.BRIDGE_USER, -1, 100)
-            );
-                        
-            // Filter for direct transfers to our user
+            scanner = scanner || createBridgeScanner();
+            const since = (sinceTimestamp || Date.now() - 60 * 60 * 1000) - HISTORY_SCAN_MARGIN;
+            
+            // Direct transfers to our user referencing the swap transaction
             // Structure: [index, {trx_id, block, op: [type, data], timestamp, ...}]
-            const transfersToUser = history.filter((item) => {
-                const op = item[1]?.op;
-                return op && op[0] === 'transfer' && op[1].from === CONFIG.BRIDGE_USER && op[1].to === username;
-            });
+            const item = await scanner.find((entry) => {
+                const op = entry[1]?.op;
+                return op && op[0] === 'transfer' &&
+                    op[1].from === CONFIG.BRIDGE_USER &&
+                    op[1].to === username &&
+                    (op[1].memo || '').includes(originalTxId);
+            }, since);
             
-            for (let i = transfersToUser.length - 1; i >= 0; i--) {
-                const item = transfersToUser[i];
-                const op = item[1].op;
-                const transferData = op[1];
-                const memo = transferData.memo || '';
-                const trxId = item[1].trx_id;
-                
-                if (memo.includes(originalTxId)) {
-                    // Parse memo to extract swap details
-                    const qtyMatch = memo.match(/Swapped Qty\s*:\s*([\d.]+)/);
-                    const priceMatch = memo.match(/Swapped Price\s*:\s*([\d.]+)/);
-                    
-                    return {
-                        found: true,
-                        amount: transferData.amount,
-                        txId: trxId,
-                        swappedQty: qtyMatch ? qtyMatch[1] : null,
-                        swappedPrice: priceMatch ? priceMatch[1] : null,
-                        memo: memo
-                    };
-                }
+            if (!item) {
+                return { found: false };
             }
-            
-            return { found: false };
+
+            const transferData = item[1].op[1];
+            const memo = transferData.memo || '';
+
+            return {
+                found: true,
+                amount: transferData.amount,
+                symbol: 'HIVE',
+                txId: item[1].trx_id,
+                blockNumber: item[1].block,
+                chain: 'hive',
+                ...BridgeMemo.parseReply(memo),
+                memo: memo
+            };
         } catch (error) {
             console.error('Error checking HIVE transfers:', error);
             return { found: false };
         }
     }
 
+    /**
+     * Parse a bridge custom_json into a SWAP.HIVE transfer payload to the user
+     */
+    function parseEngineTransfer(opData, username) {
+        if (opData.id !== 'ssc-mainnet-hive') return null;
+
+        try {
+            const json = JSON.parse(opData.json);
+            
+            // Check if it's a token transfer to our user
+            if (json.contractName === 'tokens' && 
+                json.contractAction === 'transfer' &&
+                json.contractPayload &&
+                json.contractPayload.to === username &&
+                json.contractPayload.symbol === 'SWAP.HIVE') {
+                return json.contractPayload;
+            }
+        } catch (parseError) {
+            console.error('JSON parse error:', parseError);
+        }
+        return null;
+    }
+
     /**
      * Check uswap SWAP.HIVE transfers for completion confirmation
+     * Pages back through bridge history until sinceTimestamp (ms)
      */
-    async function checkUswapEngineTransfers(originalTxId, username) {
+    async function checkUswapEngineTransfers(originalTxId, username, scanner = null, sinceTimestamp = null) {
         try {
-            const history = await APIManager.tryWithFailover(() =>
-                hive.api.getAccountHistoryAsync(CONFIG.BRIDGE_USER, -1, 100)
-            );
+            scanner = scanner || createBridgeScanner();
+            const since = (sinceTimestamp || Date.now() - 60 * 60 * 1000) - HISTORY_SCAN_MARGIN;
             
-            // Filter for custom_json operations
+            // Token transfers (custom_json) to our user referencing the swap transaction
             // Structure: [index, {trx_id, block, op: [type, data], timestamp, ...}]
-            const customJsonOps = history.filter((item) => {
-                const op = item[1]?.op;
-                return op && op[0] === 'custom_json' && op[1].id === 'ssc-mainnet-hive';
-            });
+            const item = await scanner.find((entry) => {
+                const op = entry[1]?.op;
+                if (!op || op[0] !== 'custom_json') return false;
+                const payload = parseEngineTransfer(op[1], username);
+                return payload !== null && (payload.memo || '').includes(originalTxId);
+            }, since);
             
-            for (let i = customJsonOps.length - 1; i >= 0; i--) {
-                const item = customJsonOps[i];
-                const op = item[1].op;
-                const opData = op[1];
-                const trxId = item[1].trx_id;
-                
-                try {
-                    const json = JSON.parse(opData.json);
-                    
-                    // Check if it's a token transfer to our user
-                    if (json.contractName === 'tokens' && 
-                        json.contractAction === 'transfer' &&
-                        json.contractPayload &&
-                        json.contractPayload.to === username &&
-                        json.contractPayload.symbol === 'SWAP.HIVE') {
-                        
-                        const payload = json.contractPayload;
-                        const memo = payload.memo || '';
-                        
-                        if (memo.includes(originalTxId)) {
-                            const qtyMatch = memo.match(/Swapped Qty\s*:\s*([\d.]+)/);
-                            const priceMatch = memo.match(/Swapped Price\s*:\s*([\d.]+)/);
-                            
-                            return {
-                                found: true,
-                                amount: `${payload.quantity} SWAP.HIVE`,
-                                txId: trxId,
-                                swappedQty: qtyMatch ? qtyMatch[1] : null,
-                                swappedPrice: priceMatch ? priceMatch[1] : null,
-                                memo: memo
-                            };
-                        }
-                    }
-                } catch (parseError) {
-                    console.error('JSON parse error:', parseError);
-                    continue;
-                }
+            if (!item) {
+                return { found: false };
             }
-            
-            return { found: false };
+
+            const payload = parseEngineTransfer(item[1].op[1], username);
+            const memo = payload.memo || '';
+
+            return {
+                found: true,
+                amount: `${payload.quantity} SWAP.HIVE`,
+                symbol: 'SWAP.HIVE',
+                txId: item[1].trx_id,
+                blockNumber: item[1].block,
+                chain: 'hive',
+                ...BridgeMemo.parseReply(memo),
+                memo: memo
+            };
         } catch (error) {
             console.error('Error checking Engine transfers:', error);
             return { found: false };
@@ -131,56 +195,104 @@ const SwapManager = (function() {
     }
 
     /**
-     * Wait for swap completion and verify
+     * Check bridge history for a reply paid in the given token
      */
-    async function waitForSwapCompletion(originalTxId, username, toToken) {
-        UIManager.showLoading("Waiting for swap to complete (45s)...");
-        
-        // Wait 45 seconds
-        await Utils.sleep(45000);
-        
-        UIManager.showLoading("Verifying swap completion...");
-        
-        // Check appropriate transfer history based on output token
-        let result;
-        if (toToken === "HIVE") {
-            result = await checkUswapHiveTransfers(originalTxId, username);
+    async function checkBridgeReply(originalTxId, username, token, scanner = null, sinceTimestamp = null) {
+        if (token === "HIVE") {
+            return await checkUswapHiveTransfers(originalTxId, username, scanner, sinceTimestamp);
+        }
+        return await checkUswapEngineTransfers(originalTxId, username, scanner, sinceTimestamp);
+    }
+
+    /**
+     * Wait for swap completion by following new blocks for the bridge reply
+     * Falls back to a bridge history scan for a reply or refund if the tracker times out
+     */
+    async function waitForSwapCompletion(originalTxId, username, toToken, onProgress = null) {
+        const result = await SwapTracker.track(originalTxId, username, { onProgress });
+        if (result.found) {
+            return result;
+        }
+
+        // A completion is paid in the output token, a refund in the input token
+        const scanner = createBridgeScanner();
+        const reply = await checkBridgeReply(originalTxId, username, toToken, scanner);
+        if (reply.found) {
+            return reply;
+        }
+
+        const fromToken = toToken === "HIVE" ? "SWAP.HIVE" : "HIVE";
+        return await checkBridgeReply(originalTxId, username, fromToken, scanner);
+    }
+
+    /**
+     * Track a submitted swap in the background and update its history record
+     */
+    async function trackSwap(txId, username, toToken) {
+        const result = await waitForSwapCompletion(txId, username, toToken, (progress) => {
+            UIManager.showSwapProgress(progress);
+        });
+
+        if (!result.found) {
+            UIManager.showError("Bridge reply not seen yet. The swap stays pending in your history.");
+            return result;
+        }
+
+        // A reply in the output token completes the swap, one in the input token is a refund
+        const completed = (result.symbol || toToken) === toToken;
+        if (completed) {
+            await updateSwapRecord(txId, {
+                status: 'completed',
+                ...replyFields(result),
+                swappedQty: result.swappedQty,
+                swappedPrice: result.swappedPrice
+            });
+            UIManager.showSuccess(`Swap completed! Received ${result.amount}`);
+
+            // Deliver to the account the swap was made for
+            const record = await HistoryStore.get(txId);
+            if (record && record.recipient) {
+                await forwardSwap(txId, result);
+            }
         } else {
-            result = await checkUswapEngineTransfers(originalTxId, username);
+            const reason = BridgeMemo.parseRefundReason(result.memo, txId);
+            await updateSwapRecord(txId, {
+                status: 'refunded',
+                ...replyFields(result),
+                refundReason: reason
+            });
+            UIManager.showError(`Swap refunded: ${result.amount} (${reason})`);
         }
-        
+
+        await WalletManager.refreshBalance();
         return result;
     }
 
+    /**
+     * Update a stored swap record by sent transaction ID
+     */
+    async function updateSwapRecord(txId, changes) {
+        const record = await HistoryStore.get(txId);
+        if (!record) return;
+
+        Object.assign(record, changes);
+        await HistoryStore.put(record);
+        UIManager.updateSwapHistory();
+    }
+
     /**
      * Add swap to history tracking
+     * details holds what the chain does not record: the quote shown when the swap
+     * was signed (expected, fee, feePercent) plus memoSent and blockSent when known
      */
-    function addSwapToHistory(txId, amount, fromToken, username) {
-        const swapRecord = {
-            timestamp: Date.now(),
-            txIdSent: txId,
-            amountSent: `${amount.toFixed(3)} ${fromToken}`,
-            fromToken: fromToken,
-            toToken: fromToken === "HIVE" ? "SWAP.HIVE" : "HIVE",
-            username: username,
-            status: 'pending',
-            txIdReceived: null,
-            amountReceived: null
-        };
+    async function addSwapToHistory(txId, amount, fromToken, username, details = null) {
+        const swapRecord = createSwapRecord(txId, amount, fromToken, username);
+        swapRecord.hiveUsdPrice = MarketManager.getPrices().hive || null;
+        if (details) {
+            Object.assign(swapRecord, details);
+        }
 
-        // Get existing history from localStorage
-        let history = JSON.parse(localStorage.getItem('swapHistory') || '[]');
-        
-        // Add new record at the beginning
-        history.unshift(swapRecord);
-        
-        // Keep only last 10 swaps per user
-        const userHistory = history.filter(h => h.username === username).slice(0, 10);
-        const otherHistory = history.filter(h => h.username !== username);
-        history = [...userHistory, ...otherHistory];
-        
-        // Save to localStorage
-        localStorage.setItem('swapHistory', JSON.stringify(history));
+        await HistoryStore.put(swapRecord);
         
         // Update UI
         UIManager.updateSwapHistory();
@@ -204,12 +316,9 @@ const SwapManager = (function() {
             } else {
                 // For SWAP.HIVE (custom_json), verify it was processed by Hive Engine side chain
                 try {
-                    const ssc = APIManager.getSSC();
-                    if (!ssc) {
-                        return false;
-                    }
-                    
-                    const engineTx = await ssc.getTransactionInfo(txId);
+                    const engineTx = await APIManager.tryEngineWithFailover(
+                        (client) => client.getTransactionInfo(txId)
+                    );
                     // Hive Engine returns an object with blockNumber, transactionId, etc if found
                     // Returns null or undefined if not found
                     return engineTx !== null && engineTx !== undefined && engineTx.transactionId;
@@ -229,66 +338,61 @@ const SwapManager = (function() {
     async function loadSwapHistory(username) {
         if (!username) return [];
 
-        let history = JSON.parse(localStorage.getItem('swapHistory') || '[]');
-        const userHistory = history.filter(h => h.username === username);
+        const userHistory = await HistoryStore.getAll(username);
+        const changed = new Set();
+
+        // One scanner per run, bridge history pages are shared by all rows
+        const scanner = createBridgeScanner();
         
         // Check status for pending swaps AND re-check completed swaps with old data
         for (let swap of userHistory) {
             // Re-check completed swaps that have 'uswap-transfer' or 'uswap-refund' placeholder
             if ((swap.status === 'completed' || swap.status === 'refunded') && 
                 (swap.txIdReceived === 'uswap-transfer' || swap.txIdReceived === 'uswap-refund')) {
-                // Re-fetch to get actual transaction ID
-                const toToken = swap.toToken;
-                let result;
-                
-                if (toToken === "HIVE") {
-                    result = await checkUswapHiveTransfers(swap.txIdSent, username);
-                } else {
-                    result = await checkUswapEngineTransfers(swap.txIdSent, username);
-                }
+                // Completions are paid in the output token, refunds in the input token
+                const replyToken = swap.status === 'completed' ? swap.toToken : swap.fromToken;
+                const result = await checkBridgeReply(swap.txIdSent, username, replyToken, scanner, swap.timestamp);
                 
                 if (result.found) {
-                    swap.txIdReceived = result.txId;
+                    Object.assign(swap, replyFields(result));
+                    if (swap.status === 'refunded') {
+                        swap.refundReason = BridgeMemo.parseRefundReason(result.memo, swap.txIdSent);
+                    }
+                    changed.add(swap);
                 }
             }
             
+            // Swaps followed live by the tracker are updated when the reply lands
+            if (swap.status === 'pending' && SwapTracker.isTracking(swap.txIdSent)) {
+                continue;
+            }
+
+            // Old pending swaps would page far back through bridge history on every load
+            if (swap.status === 'pending' && Date.now() - swap.timestamp > PENDING_RECHECK_WINDOW) {
+                continue;
+            }
+
             if (swap.status === 'pending') {
-                // First, check if swap completed or refunded by checking uswap history
-                const toToken = swap.toToken;
-                let result;
-                
-                if (toToken === "HIVE") {
-                    result = await checkUswapHiveTransfers(swap.txIdSent, username);
-                } else {
-                    result = await checkUswapEngineTransfers(swap.txIdSent, username);
-                }
+                // First, check for completion: bridge pays out the output token
+                const result = await checkBridgeReply(swap.txIdSent, username, swap.toToken, scanner, swap.timestamp);
                 
                 if (result.found) {
                     swap.status = 'completed';
-                    swap.amountReceived = result.amount;
-                    swap.txIdReceived = result.txId;
+                    Object.assign(swap, replyFields(result));
                     swap.swappedQty = result.swappedQty;
                     swap.swappedPrice = result.swappedPrice;
+                    changed.add(swap);
                     continue;
                 }
                 
-                // Not completed, check for refund (same token returned)
-                if (swap.fromToken === "HIVE") {
-                    const refund = await checkUswapHiveTransfers(swap.txIdSent, username);
-                    if (refund.found) {
-                        swap.status = 'refunded';
-                        swap.amountReceived = refund.amount;
-                        swap.txIdReceived = refund.txId;
-                        continue;
-                    }
-                } else {
-                    const refund = await checkUswapEngineTransfers(swap.txIdSent, username);
-                    if (refund.found) {
-                        swap.status = 'refunded';
-                        swap.amountReceived = refund.amount;
-                        swap.txIdReceived = refund.txId;
-                        continue;
-                    }
+                // Not completed, check for refund: bridge returns the input token
+                const refund = await checkBridgeReply(swap.txIdSent, username, swap.fromToken, scanner, swap.timestamp);
+                if (refund.found) {
+                    swap.status = 'refunded';
+                    Object.assign(swap, replyFields(refund));
+                    swap.refundReason = BridgeMemo.parseRefundReason(refund.memo, swap.txIdSent);
+                    changed.add(swap);
+                    continue;
                 }
                 
                 // Not completed and not refunded
@@ -304,16 +408,171 @@ const SwapManager = (function() {
                     
                     if (!txExists) {
                         swap.status = 'not-sent';
+                        changed.add(swap);
                     }
                 }
                 // If less than 30 seconds or more than 10 minutes, keep as pending
             }
         }
         
-        // Update localStorage with new status
-        localStorage.setItem('swapHistory', JSON.stringify(history));
+        // Only write back what changed, the tracker may update other records meanwhile
+        await HistoryStore.putMany([...changed]);
+        forwardSettledSwaps([...changed]);
         
-        return userHistory.slice(0, 10);
+        return userHistory;
+    }
+
+    // ==================== CHAIN REBUILD ====================
+
+    /**
+     * Extract a swap sent by the user from one of their history items
+     */
+    function parseSentSwap(item, username) {
+        const op = item[1].op;
+        const swap = parseBridgeOperation(op);
+        if (!swap) return null;
+
+        const data = op[1];
+        const sender = op[0] === 'transfer' ? data.from : (data.required_auths || [])[0];
+        return sender === username ? swap : null;
+    }
+
+    /**
+     * Rebuild a user's swap records from chain history between two timestamps (ms)
+     * Swaps are the user's transfers to the bridge, each paired with the bridge reply
+     * HIVE replies show up in the user's own history, SWAP.HIVE replies in the bridge's
+     */
+    async function rebuildSwapHistory(username, fromTimestamp, toTimestamp, onProgress = null) {
+        const report = (message) => {
+            if (typeof onProgress === 'function') onProgress(message);
+        };
+
+        const userScanner = AccountHistory.createScanner(username, { maxPages: REBUILD_MAX_PAGES });
+        const bridgeScanner = AccountHistory.createScanner(CONFIG.BRIDGE_USER, { maxPages: REBUILD_MAX_PAGES });
+
+        report(`Scanning @${username} history...`);
+        const items = (await userScanner.since(fromTimestamp)).filter(item =>
+            AccountHistory.parseTimestamp(item[1].timestamp) <= toTimestamp
+        );
+
+        const sent = [];
+        const seen = new Set();
+        for (const item of items) {
+            const swap = parseSentSwap(item, username);
+            if (!swap || seen.has(item[1].trx_id)) continue;
+            seen.add(item[1].trx_id);
+            sent.push({ item, swap });
+        }
+
+        const records = [];
+        for (let i = 0; i < sent.length; i++) {
+            const { item, swap } = sent[i];
+            const txId = item[1].trx_id;
+            const timestamp = AccountHistory.parseTimestamp(item[1].timestamp);
+            const record = createSwapRecord(txId, swap.amount, swap.fromToken, username, timestamp);
+            record.memoSent = swap.memo;
+            record.blockSent = item[1].block;
+            const scannerFor = (token) => token === "HIVE" ? userScanner : bridgeScanner;
+
+            report(`Matching bridge replies (${i + 1}/${sent.length})...`);
+
+            // Completions are paid in the output token, refunds in the input token
+            const result = await checkBridgeReply(txId, username, record.toToken, scannerFor(record.toToken), timestamp);
+            if (result.found) {
+                Object.assign(record, {
+                    status: 'completed',
+                    ...replyFields(result),
+                    swappedQty: result.swappedQty,
+                    swappedPrice: result.swappedPrice
+                });
+            } else {
+                const refund = await checkBridgeReply(txId, username, record.fromToken, scannerFor(record.fromToken), timestamp);
+                if (refund.found) {
+                    Object.assign(record, {
+                        status: 'refunded',
+                        ...replyFields(refund),
+                        refundReason: BridgeMemo.parseRefundReason(refund.memo, txId)
+                    });
+                }
+            }
+
+            records.push(record);
+        }
+
+        const merged = await mergeSwapRecords(records);
+        UIManager.updateSwapHistory();
+        return { found: records.length, ...merged };
+    }
+
+    /**
+     * Merge rebuilt records into stored history, keyed by sent transaction ID
+     * Local records are kept, chain data only fills in replies they never saw
+     */
+    async function mergeSwapRecords(records) {
+        const stored = new Map((await HistoryStore.getAll()).map(h => [h.txIdSent, h]));
+        const changed = new Map();
+        let added = 0;
+        let updated = 0;
+
+        for (const incoming of records) {
+            // Delivery is only set up when signing, never from outside data
+            const record = { ...incoming };
+            FORWARD_FIELDS.forEach(field => delete record[field]);
+
+            const existing = stored.get(record.txIdSent);
+            if (!existing) {
+                stored.set(record.txIdSent, record);
+                changed.set(record.txIdSent, record);
+                added++;
+                continue;
+            }
+
+            // Fill in values an older copy of the record is missing
+            for (const field of ['hiveUsdPrice', 'expected', 'fee', 'feePercent', 'memoSent', 'blockSent', 'scheduleId']) {
+                if (existing[field] == null && record[field] != null) {
+                    existing[field] = record[field];
+                    changed.set(existing.txIdSent, existing);
+                }
+            }
+
+            const settled = existing.status === 'completed' || existing.status === 'refunded';
+            const placeholder = existing.txIdReceived === 'uswap-transfer' || existing.txIdReceived === 'uswap-refund';
+            if (record.status !== 'pending' && (!settled || placeholder)) {
+                Object.assign(existing, {
+                    status: record.status,
+                    amountReceived: record.amountReceived,
+                    txIdReceived: record.txIdReceived,
+                    memoReceived: record.memoReceived,
+                    blockReceived: record.blockReceived,
+                    chainReceived: record.chainReceived,
+                    swappedQty: record.swappedQty,
+                    swappedPrice: record.swappedPrice,
+                    refundReason: record.refundReason
+                });
+                changed.set(existing.txIdSent, existing);
+                updated++;
+            }
+        }
+
+        await HistoryStore.putMany([...changed.values()]);
+        forwardSettledSwaps([...changed.values()]);
+        return { added, updated };
+    }
+
+    /**
+     * Merge imported records into stored history without duplicates
+     */
+    async function importSwapRecords(records) {
+        const result = await mergeSwapRecords(records);
+        UIManager.updateSwapHistory();
+        return result;
+    }
+
+    /**
+     * Get all stored swap records for a user, newest first
+     */
+    function getSwapHistory(username) {
+        return HistoryStore.getAll(username);
     }
 
     /**
@@ -321,16 +580,18 @@ const SwapManager = (function() {
      */
     async function fetchFeeConfig() {
         try {
-            const response = await Utils.withTimeout(
+            const { origin, pathname } = new URL(CONFIG.USWAP_FEE_JSON);
+            const response = await Diagnostics.track('fee', pathname, origin, () => Utils.withTimeout(
                 axios.get(CONFIG.USWAP_FEE_JSON),
                 5000
-            );
+            ));
             
             if (response.data) {
                 feeConfig.BASE_FEE = Utils.parseNumber(response.data.BASE_FEE, feeConfig.BASE_FEE);
                 feeConfig.MIN_BASE_FEE = Utils.parseNumber(response.data.MIN_BASE_FEE, feeConfig.MIN_BASE_FEE);
                 feeConfig.DIFF_COEFFICIENT = Utils.parseNumber(response.data.DIFF_COEFFICIENT, feeConfig.DIFF_COEFFICIENT);
                 feeConfig.BASE_PRICE_HIVE_TO_SHIVE = Utils.parseNumber(response.data.BASE_PRICE_HIVE_TO_SHIVE, feeConfig.BASE_PRICE_HIVE_TO_SHIVE);
+                feeConfigSource = { url: CONFIG.USWAP_FEE_JSON, loadedAt: Date.now() };
                 
                 console.log("Fee config loaded:", feeConfig);
             }
@@ -340,18 +601,32 @@ const SwapManager = (function() {
         }
     }
 
+    /**
+     * Get the fee config in use with its source URL and load time
+     */
+    function getFeeConfigInfo() {
+        return {
+            values: { ...feeConfig },
+            url: feeConfigSource.url,
+            loadedAt: feeConfigSource.loadedAt
+        };
+    }
+
     /**
      * Calculate swap fee and output based on amount and direction
      * Uses the exact formula from the original uswap.app
+     * pools ({ hive, swapHive }) replaces the live pools for what-if calculations
      */
-    function calculateFee(amount, fromToken, toToken) {
+    function calculateFee(amount, fromToken, toToken, pools = null) {
         if (!Utils.isPositiveNumber(amount)) {
             return { feeAmount: 0, feePercent: 0 };
         }
 
         // Get pool liquidity amounts
-        const fromPool = fromToken === "HIVE" ? CONFIG.HIVEPOOL : CONFIG.SHIVEPOOL;
-        const totalPool = CONFIG.HIVEPOOL + CONFIG.SHIVEPOOL;
+        const hivePool = pools ? pools.hive : CONFIG.HIVEPOOL;
+        const swapHivePool = pools ? pools.swapHive : CONFIG.SHIVEPOOL;
+        const fromPool = fromToken === "HIVE" ? hivePool : swapHivePool;
+        const totalPool = hivePool + swapHivePool;
         
         // Calculate pool difference ratio
         const diff = ((amount * 0.5 + fromPool) / totalPool) - 0.5;
@@ -388,12 +663,12 @@ const SwapManager = (function() {
      * Calculate expected output amount
      * Uses the new calculateFee function that includes output
      */
-    function calculateExpectedOutput(inputAmount, fromToken, toToken) {
+    function calculateExpectedOutput(inputAmount, fromToken, toToken, pools = null) {
         if (!Utils.isPositiveNumber(inputAmount)) {
             return { expected: 0, fee: 0, feePercent: 0 };
         }
 
-        const result = calculateFee(inputAmount, fromToken, toToken);
+        const result = calculateFee(inputAmount, fromToken, toToken, pools);
 
         return {
             expected: Math.floor(result.expectedOutput * CONFIG.DECIMAL) / CONFIG.DECIMAL,
@@ -402,6 +677,22 @@ const SwapManager = (function() {
         };
     }
 
+    /**
+     * Apply the selected slippage, falling back to the default only with a warning
+     * so a missing selection is flagged in the confirmation dialog
+     */
+    function setSlippage(slippage) {
+        if (Utils.isValidSlippage(slippage)) {
+            currentSwap.slippage = Utils.parseNumber(slippage);
+            currentSwap.slippageDefaulted = false;
+            return;
+        }
+
+        console.warn(`Invalid slippage "${slippage}", using the ${CONFIG.DEFAULT_SLIPPAGE}% default`);
+        currentSwap.slippage = CONFIG.DEFAULT_SLIPPAGE;
+        currentSwap.slippageDefaulted = true;
+    }
+
     /**
      * Update swap calculation
      */
@@ -409,7 +700,7 @@ const SwapManager = (function() {
         currentSwap.from = fromToken;
         currentSwap.to = toToken;
         currentSwap.amount = Utils.parseNumber(amount, 0);
-        currentSwap.slippage = Utils.parseNumber(slippage, 0.01);
+        setSlippage(slippage);
 
         const result = calculateExpectedOutput(currentSwap.amount, fromToken, toToken);
         currentSwap.expected = result.expected;
@@ -418,10 +709,8 @@ const SwapManager = (function() {
         
         // Calculate minimum receive with slippage protection
         const slippageFactor = 1 - (currentSwap.slippage / 100);
-        currentSwap.minReceive = Utils.roundTo(
-            Utils.safeMultiply(currentSwap.expected, slippageFactor),
-            3
-        );
+        // Left unrounded, BridgeMemo rounds it for the memo
+        currentSwap.minReceive = Utils.safeMultiply(currentSwap.expected, slippageFactor);
 
         // Update UI
         UIManager.updateSwapDisplay(currentSwap);
@@ -499,6 +788,12 @@ const SwapManager = (function() {
             return false;
         }
 
+        // Pools the nodes disagree on cannot be used for the fee
+        if (!MarketManager.isLiquidityTrusted()) {
+            UIManager.disableSwapButton();
+            return false;
+        }
+
         // Check if bridge has sufficient liquidity for the output token
         const liquidity = MarketManager.getLiquidity();
         const expectedOutput = calculateExpectedOutput(amount, fromToken, toToken).expected;
@@ -519,16 +814,17 @@ const SwapManager = (function() {
 
     /**
      * Validate swap (returns validation result)
+     * Checks the swap form unless another swap ({ from, amount }) is given
      */
-    function validateSwap() {
+    function validateSwap(swap = currentSwap) {
         const username = WalletManager.getCurrentUser();
         if (!username) {
             throw new Utils.ValidationError("Please load your wallet first");
         }
 
-        const balance = WalletManager.getBalance(currentSwap.from);
+        const balance = WalletManager.getBalance(swap.from);
         const validation = Utils.validateSwapAmount(
-            currentSwap.amount,
+            swap.amount,
             balance,
             CONFIG.MINIMUM_SWAP
         );
@@ -537,91 +833,395 @@ const SwapManager = (function() {
             throw new Utils.ValidationError(validation.errors.join('. '));
         }
 
+        if (!MarketManager.isLiquidityTrusted()) {
+            throw new Utils.ValidationError(MarketManager.getQuorumStatus().message || "Bridge liquidity is not confirmed");
+        }
+
+        // Throws when the memo would be zero or above the expected output
+        BridgeMemo.buildMinReceive(swap.minReceive, swap.expected);
+
         return true;
     }
 
+    // ==================== DELIVERY ====================
+
     /**
-     * Execute HIVE to SWAP.HIVE swap with Keychain
-     */
-    async function executeHiveToSwapHive(amount, username, memo) {
-        return new Promise((resolve, reject) => {
-            if (!window.hive_keychain) {
-                reject(new Utils.TransactionError("Hive Keychain extension not found. Please install it."));
-                return;
-            }
-
-            const transferAmount = Utils.roundTo(amount, 3).toFixed(3) + " HIVE";
-
-            hive_keychain.requestTransfer(
-                username,
-                CONFIG.BRIDGE_USER,
-                Utils.roundTo(amount, 3).toFixed(3),
-                memo,
-                "HIVE",
-                (response) => {
-                    if (response.success) {
-                        // Extract transaction ID from response
-                        const txId = response.result?.id || response.result?.transaction_id || response.result || null;
-                        resolve({ 
-                            success: true, 
-                            transactionId: txId,
-                            response: response 
-                        });
-                    } else {
-                        reject(new Utils.TransactionError(
-                            response.message || "Transaction rejected",
-                            null
-                        ));
-                    }
-                }
-            );
+     * Get the recipients set up on this device, keyed by sent transaction ID
+     */
+    function loadForwards() {
+        try {
+            return JSON.parse(localStorage.getItem(FORWARDS_KEY) || '{}');
+        } catch (error) {
+            console.error('Error loading forwards:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Remember the recipient of a swap signed on this device
+     */
+    function setForwardRecipient(txId, recipient) {
+        const forwards = loadForwards();
+        if (recipient) {
+            forwards[txId] = recipient;
+        } else {
+            delete forwards[txId];
+        }
+        localStorage.setItem(FORWARDS_KEY, JSON.stringify(forwards));
+    }
+
+    /**
+     * Check that a record's recipient was chosen on this device when it was signed
+     */
+    function isLocalForward(record) {
+        return !!record.recipient && loadForwards()[record.txIdSent] === record.recipient;
+    }
+
+    /**
+     * Read the optional "deliver to" account, null when the output stays with the sender
+     */
+    function getRecipientInput(username) {
+        const input = document.getElementById("deliverTo");
+        const recipient = Utils.sanitizeUsername(input ? input.value : '').replace(/^@/, '');
+        return recipient && recipient !== username ? recipient : null;
+    }
+
+    /**
+     * Check a delivery recipient before the swap is signed
+     * The bridge always replies to the sender, the output is forwarded with a
+     * second transfer once the reply arrives, so the signer has to stay on the page
+     */
+    async function validateRecipient(recipient, signer) {
+        if (!Utils.isValidUsername(recipient)) {
+            throw new Utils.ValidationError(`Invalid recipient account: ${recipient}`);
+        }
+        if (signer.redirects) {
+            throw new Utils.ValidationError(`${signer.name} cannot sign the forwarding transfer, choose another signer to deliver to @${recipient}`);
+        }
+
+        const accounts = await APIManager.tryWithFailover(() =>
+            hive.api.getAccountsAsync([recipient])
+        );
+        if (!accounts || accounts.length === 0) {
+            throw new Utils.ValidationError(`Account @${recipient} does not exist`);
+        }
+    }
+
+    /**
+     * Build the transfer that forwards a swap output to its recipient
+     */
+    function buildForwardOperation(record, quantity, symbol) {
+        const memo = `Swap delivery from @${record.username}`;
+
+        if (symbol === "HIVE") {
+            return ['transfer', {
+                from: record.username,
+                to: record.recipient,
+                amount: `${quantity} HIVE`,
+                memo: memo
+            }];
+        }
+
+        return ['custom_json', {
+            required_auths: [record.username],
+            required_posting_auths: [],
+            id: "ssc-mainnet-hive",
+            json: tokenTransferJson(record.recipient, quantity, memo)
+        }];
+    }
+
+    /**
+     * Forward the output of a completed swap to its recipient
+     * The amount comes from the bridge reply seen on chain, not the stored record,
+     * pass the tracker's reply to skip the history scan
+     * Failures are kept on the record so the forward can be retried from history
+     * Resolves with true once the transfer is broadcast
+     */
+    async function forwardSwap(txId, reply = null) {
+        if (forwarding.has(txId)) return false;
+        const record = await HistoryStore.get(txId);
+        if (!record || !record.recipient || record.forwardStatus === 'sent') return false;
+        if (!isLocalForward(record)) {
+            UIManager.showError(`Delivery to @${record.recipient} was not set up on this device, send it manually`);
+            return false;
+        }
+
+        forwarding.add(txId);
+        try {
+            if (record.status !== 'completed' || !record.amountReceived) {
+                throw new Utils.ValidationError("Only completed swaps can be forwarded");
+            }
+            if (record.username !== WalletManager.getCurrentUser()) {
+                throw new Utils.ValidationError(`Load @${record.username} to forward this swap`);
+            }
+
+            const signer = Signers.requireSelected();
+            if (signer.redirects) {
+                throw new Utils.ValidationError(`${signer.name} cannot sign the forwarding transfer, choose another signer`);
+            }
+
+            UIManager.showLoading("Checking the bridge reply...");
+            const observed = reply || await checkBridgeReply(txId, record.username, record.toToken, null, record.timestamp);
+            if (!observed.found || (observed.symbol || record.toToken) !== record.toToken) {
+                throw new Utils.ValidationError("The bridge reply for this swap could not be found on chain");
+            }
+
+            const [quantity, symbol] = observed.amount.split(' ');
+            const amount = Utils.roundTo(Utils.parseNumber(quantity, 0), 3).toFixed(3);
+            const [storedQuantity] = record.amountReceived.split(' ');
+            if (Utils.roundTo(Utils.parseNumber(storedQuantity, 0), 3).toFixed(3) !== amount) {
+                throw new Utils.ValidationError(`Stored amount ${record.amountReceived} does not match the bridge reply ${observed.amount}`);
+            }
+
+            const operation = buildForwardOperation(record, amount, symbol);
+            UIManager.hideLoading();
+            const confirmed = await SwapConfirm.request({
+                forward: { txIdSent: txId, txIdReceived: observed.txId, amount: `${amount} ${symbol}` },
+                username: record.username,
+                recipient: record.recipient,
+                signer: signer,
+                operation: operation
+            });
+            if (!confirmed) {
+                throw new Utils.ValidationError("Forward was not confirmed");
+            }
+
+            UIManager.showLoading(`Forwarding ${amount} ${symbol} to @${record.recipient}...`);
+            const [type, data] = operation;
+            let result;
+            if (type === 'transfer') {
+                result = await signer.transfer(record.username, data.to, amount, symbol, data.memo);
+            } else {
+                result = await signer.customJson(record.username, data.id, "Active", data.json, "SWAP.HIVE Transfer");
+            }
+
+            await updateSwapRecord(txId, {
+                forwardStatus: 'sent',
+                forwardTxId: result.transactionId || null,
+                forwardError: null
+            });
+            setForwardRecipient(txId, null);
+            UIManager.hideLoading();
+            UIManager.showSuccess(`Delivered ${amount} ${symbol} to @${record.recipient}`);
+            return true;
+        } catch (error) {
+            const handled = Utils.handleError(error, 'SwapManager.forwardSwap');
+            await updateSwapRecord(txId, { forwardStatus: 'failed', forwardError: handled.message });
+            UIManager.hideLoading();
+            UIManager.showError(`Forward to @${record.recipient} failed: ${handled.message}. Retry it from your swap history.`);
+            return false;
+        } finally {
+            forwarding.delete(txId);
+        }
+    }
+
+    /**
+     * Forward swaps that a history check, rebuild or import just settled as completed
+     * The live tracker forwards its own swaps, these were settled without it
+     * Only swaps set up for delivery on this device are forwarded
+     * Not awaited by the callers, a signer prompt must not hold up the history
+     */
+    async function forwardSettledSwaps(records) {
+        const due = records.filter(record =>
+            record.status === 'completed' && record.forwardStatus === 'pending' && isLocalForward(record)
+        );
+        if (due.length === 0) return;
+
+        try {
+            for (const record of due) {
+                await forwardSwap(record.txIdSent);
+            }
+            await UIManager.updateSwapHistory();
+        } catch (error) {
+            console.error('Error forwarding settled swaps:', error);
+        }
+    }
+
+    /**
+     * Hive Engine custom_json payload for a SWAP.HIVE transfer
+     */
+    function tokenTransferJson(to, quantity, memo) {
+        return JSON.stringify({
+            contractName: "tokens",
+            contractAction: "transfer",
+            contractPayload: {
+                symbol: "SWAP.HIVE",
+                to: to,
+                quantity: quantity,
+                memo: memo
+            }
         });
     }
 
     /**
-     * Execute SWAP.HIVE to HIVE swap with Keychain
+     * Build the operation a swap broadcasts, the same one the signer is asked to sign
+     * HIVE goes to the bridge as a transfer, SWAP.HIVE as an ssc-mainnet-hive custom_json
+     */
+    function buildSwapOperation(swap, username) {
+        const quantity = Utils.roundTo(swap.amount, 3).toFixed(3);
+        const memo = BridgeMemo.buildMinReceive(swap.minReceive, swap.expected);
+
+        if (swap.from === "HIVE") {
+            return ['transfer', {
+                from: username,
+                to: CONFIG.BRIDGE_USER,
+                amount: `${quantity} HIVE`,
+                memo: memo
+            }];
+        }
+
+        return ['custom_json', {
+            required_auths: [username],
+            required_posting_auths: [],
+            id: "ssc-mainnet-hive",
+            json: tokenTransferJson(CONFIG.BRIDGE_USER, quantity, memo)
+        }];
+    }
+
+    /**
+     * Extract swap amount and input token from a signed bridge operation
      */
-    async function executeSwapHiveToHive(amount, username, memo) {
-        return new Promise((resolve, reject) => {
-            if (!window.hive_keychain) {
-                reject(new Utils.TransactionError("Hive Keychain extension not found. Please install it."));
-                return;
+    function parseBridgeOperation(operation) {
+        if (!operation) return null;
+        const [type, data] = operation;
+
+        if (type === 'transfer' && data.to === CONFIG.BRIDGE_USER) {
+            const [quantity, symbol] = data.amount.split(' ');
+            if (symbol !== 'HIVE') return null;
+            return { amount: Utils.parseNumber(quantity, 0), fromToken: 'HIVE', memo: data.memo || '' };
+        }
+
+        if (type === 'custom_json' && data.id === 'ssc-mainnet-hive') {
+            try {
+                const json = JSON.parse(data.json);
+                const payload = json.contractPayload || {};
+                if (json.contractName === 'tokens' && json.contractAction === 'transfer' &&
+                    payload.to === CONFIG.BRIDGE_USER && payload.symbol === 'SWAP.HIVE') {
+                    return { amount: Utils.parseNumber(payload.quantity, 0), fromToken: 'SWAP.HIVE', memo: payload.memo || '' };
+                }
+            } catch (error) {
+                return null;
             }
+        }
+
+        return null;
+    }
 
-            const json = JSON.stringify({
-                contractName: "tokens",
-                contractAction: "transfer",
-                contractPayload: {
-                    symbol: "SWAP.HIVE",
-                    to: CONFIG.BRIDGE_USER,
-                    quantity: Utils.roundTo(amount, 3).toFixed(3),
-                    memo: memo
+    /**
+     * Look up the transaction ID of a just-signed operation in the sender's history
+     */
+    async function findSentTransaction(username, operation, attempts = 5) {
+        const [type, expected] = operation;
+
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            try {
+                const history = await APIManager.tryWithFailover(() =>
+                    hive.api.getAccountHistoryAsync(username, -1, 50)
+                );
+
+                for (let i = history.length - 1; i >= 0; i--) {
+                    const item = history[i][1];
+                    const [opType, data] = item.op;
+                    if (opType !== type) continue;
+
+                    const matches = type === 'transfer'
+                        ? data.to === expected.to && data.amount === expected.amount && data.memo === expected.memo
+                        : data.id === expected.id && data.json === expected.json;
+
+                    if (matches) return item.trx_id;
                 }
+            } catch (error) {
+                console.error('Error looking up sent transaction:', error);
+            }
+
+            if (attempt < attempts) {
+                await Utils.sleep(3000);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Record a swap signed through a redirect based signer (HiveSigner)
+     */
+    async function recordSignerCallback(callback) {
+        const swap = parseBridgeOperation(callback.operation);
+        if (!swap) return false;
+
+        UIManager.showLoading("Confirming signed transaction...");
+        const txId = callback.transactionId || await findSentTransaction(callback.username, callback.operation);
+        UIManager.hideLoading();
+
+        if (!txId) {
+            UIManager.showError("Could not find the signed transaction. Please check your wallet history.");
+            return false;
+        }
+
+        await addSwapToHistory(txId, swap.amount, swap.fromToken, callback.username, { memoSent: swap.memo });
+        UIManager.showSuccess(`Transaction submitted! ID: ${txId}`);
+        trackSwap(txId, callback.username, swap.fromToken === "HIVE" ? "SWAP.HIVE" : "HIVE")
+            .catch(error => Utils.handleError(error, 'SwapManager.trackSwap'));
+        return true;
+    }
+
+    /**
+     * Sign and broadcast a swap, then record it in history
+     * swap holds from, to, amount, expected, fee, feePercent and minReceive,
+     * minReceive is sent as the memo so the bridge refunds below it
+     * details adds fields to the history record (e.g. scheduleId)
+     * Resolves with the signer result, redirected results are recorded on return
+     */
+    async function submitSwap(signer, swap, username, details = null) {
+        const operation = buildSwapOperation(swap, username);
+        const [type, data] = operation;
+
+        let result;
+        if (type === 'transfer') {
+            const [quantity, symbol] = data.amount.split(' ');
+            result = await signer.transfer(username, data.to, quantity, symbol, data.memo);
+        } else {
+            result = await signer.customJson(username, data.id, "Active", data.json, "SWAP.HIVE Transfer");
+        }
+
+        // A signer that broadcast without reporting the ID, find it in the sender's history
+        if (!result.redirected && !result.transactionId) {
+            const txId = await findSentTransaction(username, operation);
+            if (!txId) {
+                throw new Utils.TransactionError("The swap was signed but its transaction could not be found. Check your wallet history before retrying.");
+            }
+            result = { ...result, transactionId: txId };
+        }
+
+        if (!result.redirected) {
+            if (details && details.recipient) {
+                setForwardRecipient(result.transactionId, details.recipient);
+            }
+            await addSwapToHistory(result.transactionId, swap.amount, swap.from, username, {
+                expected: swap.expected,
+                fee: swap.fee,
+                feePercent: swap.feePercent,
+                memoSent: parseBridgeOperation(operation).memo,
+                blockSent: result.blockNumber || null,
+                ...details
             });
+        }
 
-            hive_keychain.requestCustomJson(
-                username,
-                "ssc-mainnet-hive",
-                "Active",
-                json,
-                "SWAP.HIVE Transfer",
-                (response) => {
-                    if (response.success) {
-                        // Extract transaction ID from response
-                        const txId = response.result?.id || response.result?.transaction_id || response.result || null;
-                        resolve({ 
-                            success: true, 
-                            transactionId: txId,
-                            response: response 
-                        });
-                    } else {
-                        reject(new Utils.TransactionError(
-                            response.message || "Transaction rejected",
-                            null
-                        ));
-                    }
-                }
-            );
+        return result;
+    }
+
+    /**
+     * Show the confirmation dialog for a swap about to be signed
+     * Every path that signs a swap the user is present for goes through here
+     * Resolves with true when the user confirms
+     */
+    function confirmSwap(signer, swap, username, recipient = null) {
+        return SwapConfirm.request({
+            swap: swap,
+            username: username,
+            recipient: recipient,
+            signer: signer,
+            operation: buildSwapOperation(swap, username)
         });
     }
 
@@ -632,19 +1232,34 @@ const SwapManager = (function() {
         try {
             // Validate swap
             validateSwap();
+            const signer = Signers.requireSelected();
 
             UIManager.showLoading("Processing swap...");
             UIManager.disableSwapButton();
 
             const username = WalletManager.getCurrentUser();
-            const minReceiveFormatted = Utils.roundTo(currentSwap.minReceive, 3).toFixed(3);
-            const memo = minReceiveFormatted;
+            const recipient = getRecipientInput(username);
+            if (recipient) {
+                await validateRecipient(recipient, signer);
+            }
 
-            let result;
-            if (currentSwap.from === "HIVE") {
-                result = await executeHiveToSwapHive(currentSwap.amount, username, memo);
-            } else {
-                result = await executeSwapHiveToHive(currentSwap.amount, username, memo);
+            // The swap as confirmed, later input changes cannot alter what gets signed
+            const swap = { ...currentSwap };
+            UIManager.hideLoading();
+            const confirmed = await confirmSwap(signer, swap, username, recipient);
+            if (!confirmed) {
+                validateSwapButton();
+                return false;
+            }
+
+            UIManager.showLoading("Processing swap...");
+            const result = await submitSwap(signer, swap, username,
+                recipient ? { recipient: recipient, forwardStatus: 'pending' } : null);
+
+            // Redirect signers report back through recordSignerCallback on return
+            if (result.redirected) {
+                UIManager.showLoading(`Redirecting to ${signer.name}...`);
+                return true;
             }
 
             // Show initial success with transaction ID
@@ -656,9 +1271,10 @@ const SwapManager = (function() {
 
             UIManager.hideLoading();
             
-            // Add to swap history tracking (will be monitored in background)
+            // Follow new blocks for the bridge reply
             if (result.transactionId) {
-                addSwapToHistory(result.transactionId, currentSwap.amount, currentSwap.from, username);
+                trackSwap(result.transactionId, username, swap.to)
+                    .catch(error => Utils.handleError(error, 'SwapManager.trackSwap'));
             }
             
             // Reload balance after a short delay
@@ -673,7 +1289,11 @@ const SwapManager = (function() {
         } catch (error) {
             const handled = Utils.handleError(error, 'SwapManager.executeSwap');
             UIManager.hideLoading();
-            UIManager.showError(handled.message);
+            if (handled.code === Utils.TX_ERROR_CODES.USER_REJECTED) {
+                UIManager.showError("Swap cancelled: " + handled.message);
+            } else {
+                UIManager.showError(handled.message);
+            }
             // Re-validate button after error
             validateSwapButton();
             return false;
@@ -701,9 +1321,22 @@ const SwapManager = (function() {
         updateSwapCalculation,
         reverseSwap,
         executeSwap,
+        validateSwap,
+        submitSwap,
+        confirmSwap,
+        trackSwap,
+        forwardSwap,
         getCurrentSwap,
+        calculateFee,
         calculateExpectedOutput,
+        buildSwapOperation,
+        getFeeConfigInfo,
         validateButton: validateSwapButton,
-        loadSwapHistory
+        loadSwapHistory,
+        addSwapToHistory,
+        getSwapHistory,
+        importSwapRecords,
+        rebuildSwapHistory,
+        recordSignerCallback
     };
 })();
@@ -0,0 +1,239 @@
+/**
+ * Swap Tracker Module
+ * Follows new Hive and Hive Engine blocks to detect the bridge reply for a swap
+ */
+
+const SwapTracker = (function() {
+    const DEFAULT_OPTIONS = {
+        timeout: 10 * 60 * 1000,  // Give up after 10 minutes
+        pollInterval: 3000,       // Hive block interval
+        maxInterval: 30000,       // Backoff ceiling after errors
+        maxBlocksPerPoll: 20,     // Catch-up limit per chain per poll
+        lookback: 5               // Blocks before head to start scanning from
+    };
+
+    // Active trackers keyed by original transaction ID
+    const active = new Map();
+
+    /**
+     * Match a Hive transfer operation from the bridge to the user
+     */
+    function matchHiveOperation(op, username, originalTxId) {
+        if (!op || op[0] !== 'transfer') return null;
+        const data = op[1];
+        const memo = data.memo || '';
+
+        if (data.from !== CONFIG.BRIDGE_USER || data.to !== username || !memo.includes(originalTxId)) {
+            return null;
+        }
+
+        return {
+            amount: data.amount,
+            symbol: data.amount.split(' ')[1],
+            memo: memo,
+            ...BridgeMemo.parseReply(memo)
+        };
+    }
+
+    /**
+     * Match a Hive Engine token transfer from the bridge to the user
+     */
+    function matchEngineTransaction(tx, username, originalTxId) {
+        if (!tx || tx.sender !== CONFIG.BRIDGE_USER || tx.contract !== 'tokens' || tx.action !== 'transfer') {
+            return null;
+        }
+
+        try {
+            const payload = typeof tx.payload === 'string' ? JSON.parse(tx.payload) : tx.payload;
+            const logs = typeof tx.logs === 'string' ? JSON.parse(tx.logs) : (tx.logs || {});
+            const memo = payload.memo || '';
+
+            if (logs.errors || payload.to !== username || !memo.includes(originalTxId)) {
+                return null;
+            }
+
+            return {
+                amount: `${payload.quantity} ${payload.symbol}`,
+                symbol: payload.symbol,
+                memo: memo,
+                ...BridgeMemo.parseReply(memo)
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Scan new Hive blocks, returns a reply if found
+     */
+    async function scanHiveBlocks(state, username, originalTxId) {
+        const props = await APIManager.tryWithFailover(() =>
+            hive.api.getDynamicGlobalPropertiesAsync()
+        );
+        const head = props.head_block_number;
+
+        if (state.hiveBlock === null) {
+            state.hiveBlock = Math.max(head - state.options.lookback, 1);
+        }
+
+        const last = Math.min(head, state.hiveBlock + state.options.maxBlocksPerPoll - 1);
+        for (let blockNum = state.hiveBlock; blockNum <= last; blockNum++) {
+            const block = await APIManager.tryWithFailover(() => hive.api.getBlockAsync(blockNum));
+            state.hiveBlock = blockNum + 1;
+            if (!block || !block.transactions) continue;
+
+            for (let i = 0; i < block.transactions.length; i++) {
+                const tx = block.transactions[i];
+                for (const op of tx.operations) {
+                    const reply = matchHiveOperation(op, username, originalTxId);
+                    if (reply) {
+                        return { ...reply, txId: block.transaction_ids[i], blockNumber: blockNum, chain: 'hive' };
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Scan new Hive Engine blocks, returns a reply if found
+     */
+    async function scanEngineBlocks(state, username, originalTxId) {
+        const latest = await APIManager.tryEngineWithFailover((client) => client.getLatestBlockInfo());
+        const head = latest.blockNumber;
+
+        if (state.engineBlock === null) {
+            state.engineBlock = Math.max(head - state.options.lookback, 1);
+        }
+
+        const last = Math.min(head, state.engineBlock + state.options.maxBlocksPerPoll - 1);
+        for (let blockNum = state.engineBlock; blockNum <= last; blockNum++) {
+            const block = await APIManager.tryEngineWithFailover((client) => client.getBlockInfo(blockNum));
+            state.engineBlock = blockNum + 1;
+            if (!block || !block.transactions) continue;
+
+            for (const tx of block.transactions) {
+                const reply = matchEngineTransaction(tx, username, originalTxId);
+                if (reply) {
+                    // Engine transaction IDs may carry a "-N" suffix per operation
+                    const txId = (tx.transactionId || '').split('-')[0];
+                    return { ...reply, txId: txId, blockNumber: blockNum, chain: 'engine' };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Emit a progress event to the caller
+     */
+    function emitProgress(state, stage, extra = {}) {
+        if (typeof state.options.onProgress !== 'function') return;
+
+        const elapsed = Date.now() - state.startedAt;
+        try {
+            state.options.onProgress({
+                txId: state.originalTxId,
+                stage: stage,
+                hiveBlock: state.hiveBlock,
+                engineBlock: state.engineBlock,
+                elapsed: elapsed,
+                remaining: Math.max(state.options.timeout - elapsed, 0),
+                ...extra
+            });
+        } catch (error) {
+            console.error('Swap tracker progress handler failed:', error);
+        }
+    }
+
+    /**
+     * Track a swap until the bridge reply lands or the timeout expires
+     * Resolves with { found, amount, symbol, txId, swappedQty, swappedPrice, memo, chain, blockNumber }
+     * or { found: false, timedOut } when no reply was seen
+     */
+    async function track(originalTxId, username, options = {}) {
+        if (active.has(originalTxId)) {
+            return active.get(originalTxId).promise;
+        }
+
+        const state = {
+            originalTxId: originalTxId,
+            options: { ...DEFAULT_OPTIONS, ...options },
+            startedAt: Date.now(),
+            hiveBlock: null,
+            engineBlock: null,
+            stopped: false,
+            promise: null
+        };
+
+        state.promise = (async () => {
+            let interval = state.options.pollInterval;
+            emitProgress(state, 'started');
+
+            try {
+                while (!state.stopped && Date.now() - state.startedAt < state.options.timeout) {
+                    try {
+                        // Each scan moves its cursor past the blocks it read, so a reply
+                        // found on one chain is kept even when the other chain fails
+                        const results = await Promise.allSettled([
+                            scanHiveBlocks(state, username, originalTxId),
+                            scanEngineBlocks(state, username, originalTxId)
+                        ]);
+
+                        const found = results.find(result => result.status === 'fulfilled' && result.value);
+                        if (found) {
+                            emitProgress(state, 'found', { reply: found.value });
+                            return { found: true, ...found.value };
+                        }
+
+                        const failed = results.find(result => result.status === 'rejected');
+                        if (failed) {
+                            throw failed.reason;
+                        }
+
+                        interval = state.options.pollInterval;
+                        emitProgress(state, 'scanning');
+                    } catch (error) {
+                        interval = Math.min(interval * 2, state.options.maxInterval);
+                        console.warn(`Swap tracker poll failed, retrying in ${interval}ms:`, error.message);
+                        emitProgress(state, 'error', { error: error.message, retryIn: interval });
+                    }
+
+                    await Utils.sleep(interval);
+                }
+
+                emitProgress(state, state.stopped ? 'stopped' : 'timeout');
+                return { found: false, timedOut: !state.stopped };
+            } finally {
+                active.delete(originalTxId);
+            }
+        })();
+
+        active.set(originalTxId, state);
+        return state.promise;
+    }
+
+    /**
+     * Stop tracking a swap
+     */
+    function stop(originalTxId) {
+        const state = active.get(originalTxId);
+        if (state) state.stopped = true;
+    }
+
+    /**
+     * Check if a swap is currently being tracked
+     */
+    function isTracking(originalTxId) {
+        return active.has(originalTxId);
+    }
+
+    // Public API
+    return {
+        track,
+        stop,
+        isTracking
+    };
+})();
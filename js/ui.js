@@ -61,30 +61,37 @@ const UIManager = (function() {
     }
 
     /**
-     * Show error in popup panel
+     * Show swap tracker progress in the status line
      */
-    function showPopupError(type, message) {
-        const errorDiv = document.getElementById(`popup-error-${type}`);
-        if (errorDiv) {
-            errorDiv.textContent = message;
-            errorDiv.style.display = 'block';
-            
-            // Auto-hide after 5 seconds
-            setTimeout(() => {
-                hidePopupError(type);
-            }, 5000);
+    function showSwapProgress(progress) {
+        const seconds = Math.floor(progress.elapsed / 1000);
+
+        switch (progress.stage) {
+            case 'found':
+            case 'timeout':
+            case 'stopped':
+                hideLoading();
+                break;
+            case 'error':
+                showLoading(`Connection issue while tracking swap, retrying in ${Math.round(progress.retryIn / 1000)}s...`);
+                break;
+            default:
+                showLoading(
+                    `Waiting for bridge reply (${seconds}s) · Hive #${progress.hiveBlock || '-'} · Engine #${progress.engineBlock || '-'}`
+                );
         }
     }
 
     /**
-     * Hide error in popup panel
+     * Escape text for safe use inside HTML templates
      */
-    function hidePopupError(type) {
-        const errorDiv = document.getElementById(`popup-error-${type}`);
-        if (errorDiv) {
-            errorDiv.style.display = 'none';
-            errorDiv.textContent = '';
-        }
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     /**
@@ -116,6 +123,27 @@ const UIManager = (function() {
             // Use Math.floor to display liquidity with 3 decimals
             element.textContent = (Math.floor(amount * 1000) / 1000).toFixed(3);
         }
+
+        // Pools feed the fee curve and the split planner
+        FeeChart.refresh();
+        SwapPlanner.refresh();
+    }
+
+    /**
+     * Show the liquidity quorum state: toggle and disagreement warning
+     */
+    function updateQuorumStatus(status) {
+        const toggle = document.getElementById("liquidityQuorum");
+        if (toggle) {
+            toggle.checked = status.enabled;
+        }
+
+        const warning = document.getElementById("quorumWarning");
+        if (warning) {
+            const show = status.enabled && !status.agreed && !!status.message;
+            warning.textContent = show ? status.message : '';
+            warning.classList.toggle("d-none", !show);
+        }
     }
 
     /**
@@ -142,8 +170,12 @@ const UIManager = (function() {
         // Update min receive
         const slipageQty = document.getElementById("slipageqty");
         if (slipageQty) {
-            slipageQty.textContent = swapData.minReceive.toFixed(3);
+            slipageQty.textContent = BridgeMemo.roundMinReceive(swapData.minReceive).toFixed(3);
         }
+
+        RouteCompare.render(swapData);
+        FeeChart.refresh();
+        SwapPlanner.refresh();
     }
 
     /**
@@ -193,319 +225,445 @@ const UIManager = (function() {
     }
 
     /**
-     * Update swap history table
+     * Get Bootstrap modal instance for the HiveAuth dialog
      */
-    async function updateSwapHistory() {
-        const username = WalletManager.getCurrentUser();
-        if (!username) {
-            const tbody = document.getElementById("swapHistoryTable");
-            if (tbody) {
-                tbody.innerHTML = `
-                    <tr>
-                        <td colspan="6" class="text-center" style="padding: 2rem; color: var(--text-secondary);">
-                            Load your balance to view recent swaps
-                        </td>
-                    </tr>
-                `;
+    function getAuthModal() {
+        const element = document.getElementById("authqr");
+        if (!element || typeof bootstrap === 'undefined') return null;
+        return bootstrap.Modal.getOrCreateInstance(element);
+    }
+
+    /**
+     * Toggle between QR and approve sections of the HiveAuth dialog
+     */
+    function setAuthModalSection(section) {
+        const qrDiv = document.getElementById("qr-div");
+        const approveDiv = document.getElementById("approve-div");
+
+        [[qrDiv, 'qr'], [approveDiv, 'approve']].forEach(([element, name]) => {
+            if (!element) return;
+            element.classList.toggle("d-none", name !== section);
+            element.classList.toggle("d-flex", name === section);
+        });
+
+        const approveBtn = document.getElementById("approve");
+        if (approveBtn) approveBtn.disabled = false;
+    }
+
+    /**
+     * Show HiveAuth QR code and deep link
+     */
+    function showAuthQR(link) {
+        const qrLink = document.getElementById("qr-link");
+        const qrCode = document.getElementById("qr-code");
+
+        if (qrLink) {
+            qrLink.href = link;
+        }
+        if (qrCode && typeof qrcode !== 'undefined') {
+            const qr = qrcode(0, 'L');
+            qr.addData(link);
+            qr.make();
+            qrCode.src = qr.createDataURL(4, 0);
+        }
+
+        setAuthModalSection('qr');
+        const modal = getAuthModal();
+        if (modal) modal.show();
+    }
+
+    /**
+     * Show HiveAuth approve step, resolves when the user clicks approve
+     */
+    function showAuthApprove() {
+        return new Promise((resolve, reject) => {
+            const element = document.getElementById("authqr");
+            const approveBtn = document.getElementById("approve");
+            const modal = getAuthModal();
+
+            if (!element || !approveBtn || !modal) {
+                resolve();
+                return;
             }
-            return;
+
+            const cleanup = () => {
+                approveBtn.removeEventListener("click", onApprove);
+                element.removeEventListener("hidden.bs.modal", onHidden);
+            };
+            const onApprove = () => {
+                cleanup();
+                // Keep the dialog open until signing settles, closing it cancels the request
+                approveBtn.disabled = true;
+                resolve();
+            };
+            const onHidden = () => {
+                cleanup();
+                reject(new Utils.TransactionError("HiveAuth request cancelled", null, Utils.TX_ERROR_CODES.USER_REJECTED));
+            };
+
+            approveBtn.addEventListener("click", onApprove);
+            element.addEventListener("hidden.bs.modal", onHidden);
+
+            setAuthModalSection('approve');
+            modal.show();
+        });
+    }
+
+    /**
+     * Hide HiveAuth dialog
+     */
+    function hideAuthModal() {
+        const modal = getAuthModal();
+        if (modal) modal.hide();
+    }
+
+    // ==================== SWAP HISTORY VIEW ====================
+
+    const HISTORY_PAGE_SIZE = 10;
+
+    // Records, filters, sort and page of the swap history table
+    const historyView = {
+        records: [],
+        page: 1,
+        sortKey: 'timestamp',
+        sortDir: 'desc',
+        filters: { status: '', direction: '', from: '', to: '' },
+        expanded: new Set()
+    };
+
+    /**
+     * Numeric value of an amount string ("1.000 HIVE")
+     */
+    function amountValue(amount) {
+        return amount ? parseFloat(amount) || 0 : 0;
+    }
+
+    /**
+     * Format amounts to 3 decimals
+     */
+    function formatAmount(amount) {
+        if (!amount) return '-';
+        const match = amount.match(/([\d.]+)\s*(\S+)/);
+        if (match) {
+            const value = parseFloat(match[1]).toFixed(3);
+            return `${value} ${match[2]}`;
         }
+        return amount;
+    }
 
-        const history = await SwapManager.loadSwapHistory(username);
+    /**
+     * Show a single message row in the swap history table
+     */
+    function renderHistoryMessage(message) {
         const tbody = document.getElementById("swapHistoryTable");
-        
-        if (!tbody) return;
-
-        if (history.length === 0) {
+        if (tbody) {
             tbody.innerHTML = `
                 <tr>
                     <td colspan="6" class="text-center" style="padding: 2rem; color: var(--text-secondary);">
-                        No swap history found
+                        ${message}
                     </td>
                 </tr>
             `;
-            return;
         }
+    }
 
-        tbody.innerHTML = history.map(swap => {
-            const date = new Date(swap.timestamp);
-            const dateStr = date.toLocaleString();
-            
-            const statusClass = swap.status === 'completed' ? 'text-success' : 
-                              swap.status === 'refunded' ? 'text-warning' : 
-                              swap.status === 'not-sent' ? 'text-danger' :
-                              'text-info';
-            
-            const statusText = swap.status === 'completed' ? '✓ Completed' : 
-                             swap.status === 'refunded' ? '↩ Refunded' : 
-                             swap.status === 'not-sent' ? '✗ Not Sent' :
-                             '⏳ Pending';
-
-            const txIdSent = swap.txIdSent ? 
-                `<a href="https://hivehub.dev/tx/${swap.txIdSent}" target="_blank" style="color: var(--accent-primary); text-decoration: none;">
-                    ${swap.txIdSent.substring(0, 8)}...
-                </a>` : '-';
-
-            const txIdReceived = swap.txIdReceived ? 
-                `<a href="https://hivehub.dev/tx/${swap.txIdReceived}" target="_blank" style="color: var(--accent-primary); text-decoration: none;">
-                    ${swap.txIdReceived.substring(0, 8)}...
-                </a>` : '-';
-
-            // Format amounts to 3 decimals
-            const formatAmount = (amount) => {
-                if (!amount) return '-';
-                const match = amount.match(/([\d.]+)\s*(\w+)/);
-                if (match) {
-                    const value = parseFloat(match[1]).toFixed(3);
-                    return `${value} ${match[2]}`;
-                }
-                return amount;
-            };
+    /**
+     * Apply the status, direction and date filters
+     */
+    function filterHistory(records) {
+        const { status, direction, from, to } = historyView.filters;
+        // Date inputs are local days, "to" covers the whole day
+        const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+        const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
 
-            return `
-                <tr>
-                    <td>${dateStr}</td>
-                    <td>${txIdSent}</td>
-                    <td>${formatAmount(swap.amountSent)}</td>
-                    <td>${txIdReceived}</td>
-                    <td>${formatAmount(swap.amountReceived)}</td>
-                    <td class="${statusClass}">${statusText}</td>
-                </tr>
-            `;
-        }).join('');
+        return records.filter(swap =>
+            (!status || swap.status === status) &&
+            (!direction || swap.fromToken === direction) &&
+            swap.timestamp >= fromTime && swap.timestamp <= toTime
+        );
     }
 
     /**
-     * Show/hide API panel
+     * Sort records by the selected column
      */
-    function toggleAPIPanel(type, show) {
-        const container = document.getElementById(`popup-container-${type}`);
-        if (container) {
-            container.style.display = show ? 'flex' : 'none';
-            if (show) {
-                // Clear any previous errors when opening
-                hidePopupError(type);
-                renderAPIList(type);
-            }
-        }
+    function sortHistory(records) {
+        const key = historyView.sortKey;
+        const direction = historyView.sortDir === 'asc' ? 1 : -1;
+        const value = (swap) => {
+            if (key === 'amountSent' || key === 'amountReceived') return amountValue(swap[key]);
+            return swap[key] || '';
+        };
+
+        return [...records].sort((a, b) => {
+            const left = value(a);
+            const right = value(b);
+            if (left === right) return b.timestamp - a.timestamp;
+            return (left > right ? 1 : -1) * direction;
+        });
     }
 
     /**
-     * Create add node input row
+     * Build the detail field linking a scheduled swap to its schedule
      */
-    function createAddNodeRow(type) {
-        const addRow = document.createElement('tr');
-        addRow.style.cssText = 'background: rgba(255, 255, 255, 0.05); border-top: 2px solid var(--glass-border);';
-        addRow.className = 'add-node-row';
-        
-        const inputCell = document.createElement('td');
-        inputCell.colSpan = 2;
-        inputCell.style.padding = '12px';
-        
-        const input = document.createElement('input');
-        input.type = 'text';
-        input.placeholder = `Add custom ${type.toUpperCase()} node URL (e.g., https://api.example.com)`;
-        input.className = 'form-control';
-        input.id = `add-node-input-${type}`;
-        input.style.cssText = 'width: 100%; background: var(--input-bg); border: 1px solid var(--input-border); color: var(--text-primary); padding: 8px 12px; border-radius: 8px; font-size: 13px;';
-        
-        inputCell.appendChild(input);
-        
-        const buttonCell = document.createElement('td');
-        buttonCell.style.padding = '12px';
-        const addBtn = document.createElement('button');
-        addBtn.textContent = 'Add';
-        addBtn.className = 'btn-add-node';
-        addBtn.style.cssText = 'background: var(--primary-gradient); color: white; border: none; padding: 8px 16px; border-radius: 8px; cursor: pointer; font-weight: 600; width: 100%; font-size: 13px;';
-        addBtn.title = 'Add custom node';
+    function renderScheduleField(scheduleId) {
+        const description = SwapSchedules.describe(scheduleId);
+        const value = description
+            ? `<a href="#schedule-${escapeHtml(scheduleId)}" class="schedule-link">${escapeHtml(description)}</a>`
+            : 'Deleted schedule';
+
+        return `
+            <div class="history-detail-field">
+                <span class="history-detail-label">Schedule</span>
+                <span class="history-detail-value">${value}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Build the detail fields of a swap delivered to another account
+     */
+    function renderDeliveryFields(swap) {
+        const status = swap.forwardStatus === 'sent' ? 'Forwarded'
+            : swap.forwardStatus === 'failed' ? `Failed: ${swap.forwardError || 'unknown error'}`
+            : 'Waiting for the bridge reply';
+        const forwardTx = swap.forwardTxId
+            ? `<a href="https://hivehub.dev/tx/${escapeHtml(swap.forwardTxId)}" target="_blank">${escapeHtml(swap.forwardTxId.substring(0, 8))}...</a>`
+            : '-';
+        const retry = swap.status === 'completed' && swap.forwardStatus !== 'sent'
+            ? `<button type="button" class="btn btn-outline-primary btn-sm history-forward" data-forward="${escapeHtml(swap.txIdSent)}">Forward Now</button>`
+            : '';
+
+        return `
+            <div class="history-detail-field">
+                <span class="history-detail-label">Payer</span>
+                <span class="history-detail-value">@${escapeHtml(swap.username)}</span>
+            </div>
+            <div class="history-detail-field">
+                <span class="history-detail-label">Recipient</span>
+                <span class="history-detail-value">@${escapeHtml(swap.recipient)}</span>
+            </div>
+            <div class="history-detail-field">
+                <span class="history-detail-label">Delivery</span>
+                <span class="history-detail-value">${escapeHtml(status)} ${retry}</span>
+            </div>
+            <div class="history-detail-field">
+                <span class="history-detail-label">Tx ID (Forwarded)</span>
+                <span class="history-detail-value">${forwardTx}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Build the expanded detail row of a swap
+     */
+    function renderHistoryDetail(swap) {
+        const field = (label, value) => `
+            <div class="history-detail-field">
+                <span class="history-detail-label">${label}</span>
+                <span class="history-detail-value">${value !== null && value !== undefined && value !== '' ? escapeHtml(value) : '-'}</span>
+            </div>
+        `;
+        const fee = swap.fee != null ? `${swap.fee} ${swap.fromToken} (${swap.feePercent}%)` : null;
+        const blockReceived = swap.blockReceived
+            ? `${swap.blockReceived}${swap.chainReceived === 'engine' ? ' (Hive Engine)' : ''}`
+            : null;
+
+        return `
+            <tr class="history-detail">
+                <td colspan="6">
+                    <div class="history-detail-grid">
+                        ${field('Tx ID (Sent)', swap.txIdSent)}
+                        ${field('Tx ID (Received)', swap.txIdReceived)}
+                        ${field('Memo Sent', swap.memoSent)}
+                        ${field('Memo Received', swap.memoReceived)}
+                        ${field('Swapped Qty', swap.swappedQty)}
+                        ${field('Swapped Price', swap.swappedPrice)}
+                        ${field('Quoted Fee', fee)}
+                        ${field('Block Sent', swap.blockSent)}
+                        ${field('Block Received', blockReceived)}
+                        ${swap.refundReason ? field('Refund Reason', swap.refundReason) : ''}
+                        ${swap.scheduleId ? renderScheduleField(swap.scheduleId) : ''}
+                        ${swap.recipient ? renderDeliveryFields(swap) : ''}
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Build a swap history row
+     */
+    function renderHistoryRow(swap) {
+        const dateStr = new Date(swap.timestamp).toLocaleString();
         
-        addBtn.onclick = async () => {
-            const url = input.value.trim();
-            if (!url) {
-                showPopupError(type, 'Please enter a valid URL');
-                return;
-            }
-            
-            if (!url.startsWith('http://') && !url.startsWith('https://')) {
-                showPopupError(type, 'URL must start with http:// or https://');
-                return;
-            }
-            
-            // Hide any previous errors
-            hidePopupError(type);
-            
-            // Disable button and show loading
-            addBtn.disabled = true;
-            addBtn.textContent = 'Validating...';
-            addBtn.style.opacity = '0.6';
-            
-            // Validate node type by checking API
-            const result = await window.apiManager.addAPI(type, url);
-            
-            // Re-enable button
-            addBtn.disabled = false;
-            addBtn.textContent = 'Add';
-            addBtn.style.opacity = '1';
-            
-            if (result.success) {
-                input.value = '';
-                renderAPIList(type);
-                UIManager.showSuccess('Custom node added successfully');
-            } else {
-                showPopupError(type, result.error || 'Failed to add node');
-            }
-        };
+        const statusClass = swap.status === 'completed' ? 'text-success' : 
+                          swap.status === 'refunded' ? 'text-warning' : 
+                          swap.status === 'not-sent' ? 'text-danger' :
+                          'text-info';
         
-        // Allow Enter key to add
-        input.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                addBtn.click();
-            }
+        const statusText = swap.status === 'completed' ? '✓ Completed' : 
+                         swap.status === 'refunded' ? '↩ Refunded' : 
+                         swap.status === 'not-sent' ? '✗ Not Sent' :
+                         '⏳ Pending';
+
+        const txIdSent = swap.txIdSent ? 
+            `<a href="https://hivehub.dev/tx/${escapeHtml(swap.txIdSent)}" target="_blank" style="color: var(--accent-primary); text-decoration: none;">
+                ${escapeHtml(swap.txIdSent.substring(0, 8))}...
+            </a>` : '-';
+
+        const txIdReceived = swap.txIdReceived ? 
+            `<a href="https://hivehub.dev/tx/${escapeHtml(swap.txIdReceived)}" target="_blank" style="color: var(--accent-primary); text-decoration: none;">
+                ${escapeHtml(swap.txIdReceived.substring(0, 8))}...
+            </a>` : '-';
+
+        // Show why the bridge bounced the swap
+        const refundReason = swap.status === 'refunded' && swap.refundReason ?
+            `<div class="refund-reason">${escapeHtml(swap.refundReason)}</div>` : '';
+
+        const expanded = historyView.expanded.has(swap.txIdSent);
+
+        return `
+            <tr class="history-row${expanded ? ' expanded' : ''}" data-tx="${escapeHtml(swap.txIdSent)}">
+                <td><span class="history-caret">${expanded ? '▾' : '▸'}</span>${escapeHtml(dateStr)}${swap.scheduleId ? '<span class="schedule-tag">DCA</span>' : ''}</td>
+                <td>${txIdSent}</td>
+                <td>${escapeHtml(formatAmount(swap.amountSent))}</td>
+                <td>${txIdReceived}</td>
+                <td>${escapeHtml(formatAmount(swap.amountReceived))}</td>
+                <td class="${statusClass}">${statusText}${refundReason}</td>
+            </tr>
+            ${expanded ? renderHistoryDetail(swap) : ''}
+        `;
+    }
+
+    /**
+     * Render the current page of swap history from loaded records
+     */
+    function renderSwapHistory() {
+        const tbody = document.getElementById("swapHistoryTable");
+        if (!tbody) return;
+
+        const filtered = sortHistory(filterHistory(historyView.records));
+        const pages = Math.max(1, Math.ceil(filtered.length / HISTORY_PAGE_SIZE));
+        historyView.page = Math.min(Math.max(historyView.page, 1), pages);
+
+        // Sort indicators
+        document.querySelectorAll("#swapHistoryHead th[data-sort]").forEach(th => {
+            th.classList.toggle("sorted-asc", th.dataset.sort === historyView.sortKey && historyView.sortDir === 'asc');
+            th.classList.toggle("sorted-desc", th.dataset.sort === historyView.sortKey && historyView.sortDir === 'desc');
         });
-        
-        buttonCell.appendChild(addBtn);
-        
-        addRow.appendChild(inputCell);
-        addRow.appendChild(buttonCell);
-        
-        return addRow;
+
+        // Pagination
+        const pageInfo = document.getElementById("historyPageInfo");
+        const prev = document.getElementById("historyPrev");
+        const next = document.getElementById("historyNext");
+        if (pageInfo) pageInfo.textContent = `Page ${historyView.page} of ${pages} (${filtered.length} swaps)`;
+        if (prev) prev.disabled = historyView.page <= 1;
+        if (next) next.disabled = historyView.page >= pages;
+
+        if (historyView.records.length === 0) {
+            renderHistoryMessage("No swap history found");
+            return;
+        }
+        if (filtered.length === 0) {
+            renderHistoryMessage("No swaps match the filters");
+            return;
+        }
+
+        const start = (historyView.page - 1) * HISTORY_PAGE_SIZE;
+        tbody.innerHTML = filtered.slice(start, start + HISTORY_PAGE_SIZE).map(renderHistoryRow).join('');
     }
 
     /**
-     * API Panel UI Logic
+     * Reload swap history records and render the table
      */
-    function renderAPIList(type) {
-        const tableId = type === 'hive' ? 'api-list-hive' : 'api-list-engine';
-        const tbody = document.querySelector(`#${tableId} tbody`);
-        
-        if (!tbody) {
-            console.error(`Table body not found for ${tableId}`);
+    async function updateSwapHistory() {
+        const username = WalletManager.getCurrentUser();
+        if (!username) {
+            historyView.records = [];
+            renderSwapHistory();
+            renderHistoryMessage("Load your balance to view recent swaps");
             return;
         }
 
-        const apis = window.apiManager.getAPIs(type);
-        tbody.innerHTML = '';
-        
-        // First, add the input row at the top so it appears immediately
-        const addRow = createAddNodeRow(type);
-        tbody.appendChild(addRow);
-        
-        // Store nodes with their rows for sorting later
-        const nodeData = [];
-        
-        // Create and display all nodes immediately with "Checking..." status
-        apis.forEach(url => {
-            const tr = document.createElement('tr');
-            const urlCell = document.createElement('td');
-            const statusCell = document.createElement('td');
-            const actionCell = document.createElement('td');
-            
-            urlCell.textContent = url;
-            urlCell.style.cursor = 'pointer';
-            statusCell.textContent = 'Checking...';
-            statusCell.style.width = '100px';
-            statusCell.style.textAlign = 'center';
-            statusCell.style.color = 'var(--text-secondary)';
-            actionCell.style.width = '80px';
-            actionCell.style.textAlign = 'center';
-            
-            // Add remove button for custom nodes or label for default nodes
-            if (!window.apiManager.isDefault(type, url)) {
-                const removeBtn = document.createElement('button');
-                removeBtn.textContent = '✕';
-                removeBtn.className = 'btn-remove-node';
-                removeBtn.style.cssText = 'background: var(--danger-color); color: white; border: none; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 16px; font-weight: bold;';
-                removeBtn.title = 'Remove custom node';
-                removeBtn.onclick = (e) => {
-                    e.stopPropagation();
-                    if (confirm(`Remove custom node:\n${url}?`)) {
-                        window.apiManager.removeAPI(type, url);
-                        renderAPIList(type);
-                        UIManager.showSuccess('Custom node removed');
-                    }
-                };
-                actionCell.appendChild(removeBtn);
-            } else {
-                // Show default badge for default nodes
-                const badge = document.createElement('span');
-                badge.textContent = 'Default';
-                badge.style.cssText = 'font-size: 11px; color: var(--text-secondary); font-weight: 500; text-transform: uppercase; letter-spacing: 0.5px;';
-                actionCell.appendChild(badge);
-            }
-            
-            // Click to select this node
-            const selectNode = () => {
-                window.apiManager.setSelectedNode(type, url);
-                
-                // Update the API connection
-                if (type === 'hive') {
-                    hive.api.setOptions({ url: url });
+        historyView.records = await SwapManager.loadSwapHistory(username);
+        renderSwapHistory();
+    }
+
+    /**
+     * Wire up swap history filters, sorting, pagination and row expansion
+     */
+    function setupHistoryView() {
+        const filterInputs = {
+            status: "historyFilterStatus",
+            direction: "historyFilterDirection",
+            from: "historyFilterFrom",
+            to: "historyFilterTo"
+        };
+        Object.entries(filterInputs).forEach(([key, id]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.addEventListener("change", () => {
+                historyView.filters[key] = input.value;
+                historyView.page = 1;
+                renderSwapHistory();
+            });
+        });
+
+        document.querySelectorAll("#swapHistoryHead th[data-sort]").forEach(th => {
+            th.addEventListener("click", () => {
+                if (historyView.sortKey === th.dataset.sort) {
+                    historyView.sortDir = historyView.sortDir === 'asc' ? 'desc' : 'asc';
                 } else {
-                    const ssc = new SSC(url);
+                    historyView.sortKey = th.dataset.sort;
+                    historyView.sortDir = th.dataset.sort === 'timestamp' ? 'desc' : 'asc';
                 }
-                
-                // Close popup
-                toggleAPIPanel(type, false);
-                
-                // Show success message
-                UIManager.showSuccess(`${type.toUpperCase()} node changed to: ${url}`);
-                
-                // Reload after a delay
-                setTimeout(() => location.reload(), 1500);
-            };
-            
-            urlCell.onclick = selectNode;
-            statusCell.onclick = selectNode;
-            
-            tr.appendChild(urlCell);
-            tr.appendChild(statusCell);
-            tr.appendChild(actionCell);
-            
-            // Add row to table immediately
-            tbody.appendChild(tr);
-            
-            // Store for later sorting
-            nodeData.push({ tr, statusCell, url, status: 2 }); // 0=Working, 1=Fail, 2=Checking
+                renderSwapHistory();
+            });
         });
-        
-        // Check status for all nodes asynchronously
-        const checkPromises = nodeData.map(async (node) => {
-            try {
-                const response = await axios.get(node.url, { timeout: 5000 });
-                if (response.status === 200) {
-                    node.statusCell.textContent = 'Working';
-                    node.statusCell.style.color = 'var(--success-color)';
-                    node.status = 0;
+
+        const prev = document.getElementById("historyPrev");
+        const next = document.getElementById("historyNext");
+        if (prev) {
+            prev.addEventListener("click", () => {
+                historyView.page--;
+                renderSwapHistory();
+            });
+        }
+        if (next) {
+            next.addEventListener("click", () => {
+                historyView.page++;
+                renderSwapHistory();
+            });
+        }
+
+        // Expand a row for its details, links keep opening the explorer
+        const tbody = document.getElementById("swapHistoryTable");
+        if (tbody) {
+            tbody.addEventListener("click", async (e) => {
+                if (e.target.closest("a")) return;
+
+                // Retry forwarding a delivered swap
+                const forwardButton = e.target.closest("button[data-forward]");
+                if (forwardButton) {
+                    forwardButton.disabled = true;
+                    await SwapManager.forwardSwap(forwardButton.dataset.forward);
+                    return;
+                }
+
+                const row = e.target.closest("tr.history-row");
+                if (!row) return;
+
+                const txId = row.dataset.tx;
+                if (historyView.expanded.has(txId)) {
+                    historyView.expanded.delete(txId);
                 } else {
-                    node.statusCell.textContent = 'Fail';
-                    node.statusCell.style.color = 'var(--danger-color)';
-                    node.status = 1;
+                    historyView.expanded.add(txId);
                 }
-            } catch (error) {
-                node.statusCell.textContent = 'Fail';
-                node.statusCell.style.color = 'var(--danger-color)';
-                node.status = 1;
-            }
-            return node;
-        });
-        
-        // After all checks complete, sort the list
-        Promise.all(checkPromises).then(nodes => {
-            // Sort: Working (0) first, then Fail (1), then Checking (2)
-            nodes.sort((a, b) => a.status - b.status);
-            
-            // Remove all node rows (keep add row at top)
-            while (tbody.children.length > 1) {
-                tbody.removeChild(tbody.lastChild);
-            }
-            
-            // Append sorted nodes
-            nodes.forEach(node => {
-                tbody.appendChild(node.tr);
+                renderSwapHistory();
             });
-        });
+        }
     }
-    
+
     /**
      * Initialize custom select dropdowns
      */
@@ -683,7 +841,7 @@ const UIManager = (function() {
                 const amount = Utils.parseNumber(e.target.value, 0);
                 const fromToken = document.getElementById("input").value;
                 const toToken = document.getElementById("output").value;
-                const slippage = document.querySelector('input[name="my-radio-group"]:checked')?.value || 0.01;
+                const slippage = document.querySelector('input[name="my-radio-group"]:checked')?.value;
                 
                 // Run full calculation with debounce
                 debouncedUpdate(amount, fromToken, toToken, slippage);
@@ -705,7 +863,7 @@ const UIManager = (function() {
                 }
                 
                 const amount = parseFloat(inputQty?.value) || 0;
-                const slippage = document.querySelector('input[name="my-radio-group"]:checked')?.value || 0.01;
+                const slippage = document.querySelector('input[name="my-radio-group"]:checked')?.value;
                 SwapManager.updateSwapCalculation(amount, inputSelect.value, outputSelect.value, slippage);
                 
                 // Update fee ticker
@@ -747,6 +905,18 @@ const UIManager = (function() {
         if (refreshBtn) {
             refreshBtn.addEventListener("click", async () => {
                 await MarketManager.fetchLiquidity();
+                SwapManager.validateButton();
+            });
+        }
+
+        // Liquidity quorum toggle
+        const quorumToggle = document.getElementById("liquidityQuorum");
+        if (quorumToggle) {
+            updateQuorumStatus(MarketManager.getQuorumStatus());
+            quorumToggle.addEventListener("change", async () => {
+                showLoading(quorumToggle.checked ? "Checking liquidity with several nodes..." : "Refreshing liquidity...");
+                await MarketManager.setQuorumEnabled(quorumToggle.checked);
+                hideLoading();
             });
         }
 
@@ -781,6 +951,104 @@ const UIManager = (function() {
             });
         }
 
+        // Rebuild swap history from chain for the selected date range
+        const rebuildFrom = document.getElementById("rebuildFrom");
+        const rebuildTo = document.getElementById("rebuildTo");
+        const rebuildSwapHistory = document.getElementById("rebuildSwapHistory");
+        if (rebuildFrom && rebuildTo && rebuildSwapHistory) {
+            const toDateValue = (date) => {
+                const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+                return local.toISOString().slice(0, 10);
+            };
+            rebuildTo.value = toDateValue(new Date());
+            rebuildFrom.value = toDateValue(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+
+            rebuildSwapHistory.addEventListener("click", async () => {
+                const username = WalletManager.getCurrentUser();
+                if (!username) {
+                    showError("Please load your wallet first");
+                    return;
+                }
+
+                // Date inputs are local days, cover the whole "to" day
+                const from = new Date(`${rebuildFrom.value}T00:00:00`).getTime();
+                const to = new Date(`${rebuildTo.value}T23:59:59.999`).getTime();
+                if (isNaN(from) || isNaN(to) || from > to) {
+                    showError("Please select a valid date range");
+                    return;
+                }
+
+                rebuildSwapHistory.disabled = true;
+                try {
+                    const result = await SwapManager.rebuildSwapHistory(username, from, to, showLoading);
+                    hideLoading();
+                    showSuccess(`Found ${result.found} swaps on chain (${result.added} added, ${result.updated} updated)`);
+                } catch (error) {
+                    const handled = Utils.handleError(error, 'UIManager.rebuildSwapHistory');
+                    hideLoading();
+                    showError(handled.message);
+                } finally {
+                    rebuildSwapHistory.disabled = false;
+                }
+            });
+        }
+
+        // Export swap history for accounting
+        const exportHandler = (exporter) => async () => {
+            const username = WalletManager.getCurrentUser();
+            if (!username) {
+                showError("Please load your wallet first");
+                return;
+            }
+
+            const records = await SwapManager.getSwapHistory(username);
+            if (records.length === 0) {
+                showError("No swap history to export");
+                return;
+            }
+
+            try {
+                showLoading("Preparing export...");
+                const count = await exporter(username, records);
+                hideLoading();
+                showSuccess(`Exported ${count} swaps`);
+            } catch (error) {
+                const handled = Utils.handleError(error, 'UIManager.exportSwapHistory');
+                hideLoading();
+                showError(handled.message);
+            }
+        };
+
+        const exportSwapCSV = document.getElementById("exportSwapCSV");
+        if (exportSwapCSV) {
+            exportSwapCSV.addEventListener("click", exportHandler(HistoryExport.exportCSV));
+        }
+
+        const exportSwapJSON = document.getElementById("exportSwapJSON");
+        if (exportSwapJSON) {
+            exportSwapJSON.addEventListener("click", exportHandler(HistoryExport.exportJSON));
+        }
+
+        // Import a JSON export back into storage
+        const importSwapJSON = document.getElementById("importSwapJSON");
+        const importSwapFile = document.getElementById("importSwapFile");
+        if (importSwapJSON && importSwapFile) {
+            importSwapJSON.addEventListener("click", () => importSwapFile.click());
+            importSwapFile.addEventListener("change", async () => {
+                const file = importSwapFile.files[0];
+                importSwapFile.value = '';
+                if (!file) return;
+
+                try {
+                    const result = await HistoryExport.importJSON(file);
+                    showSuccess(`Imported swaps (${result.added} added, ${result.updated} updated)`);
+                } catch (error) {
+                    const handled = Utils.handleError(error, 'UIManager.importSwapHistory');
+                    showError(handled.message);
+                }
+            });
+        }
+
         // Username input enter key (usernameInput already declared above)
         if (usernameInput) {
             usernameInput.addEventListener("keypress", async (e) => {
@@ -841,34 +1109,12 @@ const UIManager = (function() {
             });
         }
 
-        // API panel buttons
-        const popupButtonHive = document.getElementById('popup-button-hive');
-        const popupButtonEngine = document.getElementById('popup-button-engine');
-        const closeButtonHive = document.getElementById('close-button-hive');
-        const closeButtonEngine = document.getElementById('close-button-engine');
-        
-        if (popupButtonHive) {
-            popupButtonHive.onclick = () => {
-                toggleAPIPanel('hive', true);
-            };
-        }
-        
-        if (popupButtonEngine) {
-            popupButtonEngine.onclick = () => {
-                toggleAPIPanel('engine', true);
-            };
-        }
-        
-        if (closeButtonHive) {
-            closeButtonHive.onclick = () => {
-                toggleAPIPanel('hive', false);
-            };
-        }
-        
-        if (closeButtonEngine) {
-            closeButtonEngine.onclick = () => {
-                toggleAPIPanel('engine', false);
-            };
+        // HiveAuth dialog closed by the user cancels the pending request
+        const authModal = document.getElementById("authqr");
+        if (authModal) {
+            authModal.addEventListener("hidden.bs.modal", () => {
+                HiveAuth.cancel();
+            });
         }
     }
 
@@ -878,6 +1124,13 @@ const UIManager = (function() {
     function initialize() {
         initializeCustomSelects();
         setupEventListeners();
+        setupHistoryView();
+        NodeManager.initialize();
+        FeeChart.initialize();
+        SwapPlanner.initialize();
+        LimitOrders.initialize();
+        SwapSchedules.initialize();
+        SwapConfirm.initialize();
         
         // Set initial values
         const minimumElement = document.getElementById("minimum");
@@ -898,15 +1151,18 @@ const UIManager = (function() {
         hideLoading,
         showError,
         showSuccess,
-        showPopupError,
-        hidePopupError,
+        showSwapProgress,
         updateBalance,
         updatePrice,
         updateLiquidity,
+        updateQuorumStatus,
         updateSwapDisplay,
         clearSwapInputs,
         enableSwapButton,
         disableSwapButton,
+        showAuthQR,
+        showAuthApprove,
+        hideAuthModal,
         updateSwapHistory
     };
 })();
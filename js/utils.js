@@ -80,6 +80,14 @@ const Utils = (function() {
         return regex.test(username);
     }
 
+    /**
+     * Validate a slippage percentage (0 up to, not including, 100)
+     */
+    function isValidSlippage(value) {
+        const num = parseNumber(value, NaN);
+        return isFinite(num) && num >= 0 && num < 100;
+    }
+
     /**
      * Sanitize username input
      */
@@ -116,6 +124,15 @@ const Utils = (function() {
 
     // ==================== ERROR HANDLING ====================
 
+    /**
+     * Transaction error codes
+     */
+    const TX_ERROR_CODES = {
+        USER_REJECTED: 'user_rejected',
+        SIGNER_ERROR: 'signer_error',
+        SIGNER_UNAVAILABLE: 'signer_unavailable'
+    };
+
     /**
      * Custom error types
      */
@@ -135,10 +152,11 @@ const Utils = (function() {
     }
 
     class TransactionError extends Error {
-        constructor(message, transactionId = null) {
+        constructor(message, transactionId = null, code = TX_ERROR_CODES.SIGNER_ERROR) {
             super(message);
             this.name = 'TransactionError';
             this.transactionId = transactionId;
+            this.code = code;
         }
     }
 
@@ -146,6 +164,19 @@ const Utils = (function() {
      * Handle errors consistently
      */
     function handleError(error, context = '') {
+        const handled = describeError(error, context);
+
+        // Keep handled errors for the diagnostics report
+        if (typeof Diagnostics !== 'undefined') {
+            Diagnostics.recordError(context, handled);
+        }
+        return handled;
+    }
+
+    /**
+     * Log an error and classify it for handleError
+     */
+    function describeError(error, context) {
         const prefix = context ? `[${context}] ` : '';
         
         if (error instanceof ValidationError) {
@@ -160,7 +191,7 @@ const Utils = (function() {
         
         if (error instanceof TransactionError) {
             console.error(prefix + error.message, error.transactionId);
-            return { type: 'transaction', message: error.message, txId: error.transactionId };
+            return { type: 'transaction', message: error.message, txId: error.transactionId, code: error.code };
         }
         
         console.error(prefix + 'Unexpected error:', error);
@@ -265,6 +296,16 @@ const Utils = (function() {
         return num.toFixed(decimals).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
     }
 
+    /**
+     * Median of a list of numbers, null for an empty list
+     */
+    function median(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
     /**
      * Format timestamp to readable date
      */
@@ -273,6 +314,69 @@ const Utils = (function() {
         return date.toLocaleString();
     }
 
+    // ==================== BROWSER HELPERS ====================
+
+    /**
+     * Offer text content as a file download
+     */
+    function downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Copy text to the clipboard, resolves false if the browser refused
+     */
+    async function copyText(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            // Clipboard API needs a secure context, fall back to a selection copy
+            const area = document.createElement('textarea');
+            area.value = text;
+            area.style.position = 'fixed';
+            area.style.opacity = '0';
+            document.body.appendChild(area);
+            area.select();
+            const copied = document.execCommand('copy');
+            area.remove();
+            return copied;
+        }
+    }
+
+    /**
+     * Create a table cell with text
+     */
+    function tableCell(text, className) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (className) td.className = className;
+        return td;
+    }
+
+    /**
+     * Create a small action button, title is the optional hover text
+     */
+    function actionButton(label, className, onClick, title = null) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn btn-sm ${className}`;
+        button.textContent = label;
+        if (title) {
+            button.title = title;
+        }
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
     // ==================== PUBLIC API ====================
 
     return {
@@ -287,6 +391,7 @@ const Utils = (function() {
         parseNumber,
         isPositiveNumber,
         isValidUsername,
+        isValidSlippage,
         sanitizeUsername,
         validateSwapAmount,
         
@@ -294,6 +399,7 @@ const Utils = (function() {
         ValidationError,
         APIError,
         TransactionError,
+        TX_ERROR_CODES,
         handleError,
         
         // Async helpers
@@ -306,7 +412,14 @@ const Utils = (function() {
         // Data helpers
         deepClone,
         isEmpty,
+        median,
         formatNumber,
-        formatDate
+        formatDate,
+
+        // Browser helpers
+        downloadFile,
+        copyText,
+        tableCell,
+        actionButton
     };
 })();
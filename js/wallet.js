@@ -15,24 +15,6 @@ const WalletManager = (function() {
     const CACHE_DURATION = 30000; // 30 seconds (increased from 10)
     let loadBalanceTimeout = null; // Debounce timer
 
-    /**
-     * Query Hive Engine with Promise wrapper
-     */
-    function queryHiveEngine(contract, table, query, limit = 1000) {
-        return new Promise((resolve, reject) => {
-            const ssc = APIManager.getSSC();
-            if (!ssc) {
-                reject(new Utils.APIError('Hive Engine API not initialized'));
-                return;
-            }
-
-            ssc.find(contract, table, query, limit, 0, [], (err, result) => {
-                if (err) reject(new Utils.APIError(err.message || 'Query failed'));
-                else resolve(result || []);
-            });
-        });
-    }
-
     /**
      * Fetch HIVE balance with retry and node failover
      */
@@ -50,16 +32,13 @@ const WalletManager = (function() {
     }
 
     /**
-     * Fetch SWAP.HIVE balance with retry
+     * Fetch SWAP.HIVE balance with node failover
      */
     async function fetchSwapHiveBalance(username) {
-        const tokens = await Utils.retry(() =>
-            queryHiveEngine('tokens', 'balances', { 
-                account: username, 
-                symbol: 'SWAP.HIVE' 
-            }),
-            3, 1000
-        );
+        const tokens = await APIManager.queryHiveEngine('tokens', 'balances', { 
+            account: username, 
+            symbol: 'SWAP.HIVE' 
+        });
 
         const swapHiveBalance = tokens && tokens.length > 0 
             ? Utils.parseNumber(tokens[0].balance, 0)
@@ -120,8 +99,10 @@ const WalletManager = (function() {
                     // Trigger swap validation to enable/disable button based on current state
                     SwapManager.validateButton();
                     
-                    // Update swap history
+                    // Update swap history and the account's limit orders and schedules
                     UIManager.updateSwapHistory();
+                    LimitOrders.refresh();
+                    SwapSchedules.refresh();
 
                     console.log(`✅ Balance loaded: HIVE=${hiveBalance}, SWAP.HIVE=${swapHiveBalance}`);
                     resolve(balances);
@@ -182,6 +163,17 @@ const WalletManager = (function() {
         return await loadBalance(currentUser, true); // Force refresh
     }
     
+    /**
+     * Reload balances from the new node after an API node switch
+     */
+    function handleNodeChange(event) {
+        if (!currentUser) return;
+        console.log(`🔄 ${event.detail.type} node changed, reloading balances...`);
+        refreshBalance();
+    }
+
+    document.addEventListener(APIManager.NODE_CHANGE_EVENT, handleNodeChange);
+
     /**
      * Clear current user and balances
      */
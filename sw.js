@@ -1,13 +1,32 @@
-const staticSwapHive = "swap-hive-modern-v1";
+const staticSwapHive = "swap-hive-modern-v2";
 const assets = [
   "/",
   "/index.html",
   "/css/modern-dark.css",
+  "/libs/ajax/libs/qrcode-generator/1.4.4/qrcode.min.js",
+  "/js/utils.js",
   "/js/config.js",
+  "/js/diagnostics.js",
+  "/js/nodehealth.js",
   "/js/api.js",
+  "/js/nodemanager.js",
+  "/js/quorum.js",
   "/js/wallet.js",
   "/js/market.js",
+  "/js/hiveauth.js",
+  "/js/signers.js",
+  "/js/history.js",
+  "/js/store.js",
+  "/js/tracker.js",
+  "/js/bridgememo.js",
   "/js/swap.js",
+  "/js/confirm.js",
+  "/js/feechart.js",
+  "/js/planner.js",
+  "/js/routes.js",
+  "/js/limitorders.js",
+  "/js/schedules.js",
+  "/js/export.js",
   "/js/ui.js",
   "/js/main.js",
   "/assets/hive_auth.png",
@@ -23,6 +42,15 @@ self.addEventListener("install", installEvent => {
   )
 });
 
+// caches.match searches every cache, so older versions are removed
+self.addEventListener("activate", activateEvent => {
+  activateEvent.waitUntil(
+    caches.keys().then(keys => Promise.all(
+      keys.filter(key => key !== staticSwapHive).map(key => caches.delete(key))
+    ))
+  )
+});
+
 self.addEventListener("fetch", fetchEvent => {
   fetchEvent.respondWith(
     caches.match(fetchEvent.request).then(res => {